@@ -0,0 +1,208 @@
+/**
+ * adminApi.js
+ * Authenticated HTTP routes on the Probot router that broker batch tokens to CI jobs and internal services,
+ * and expose the installation / batch / cache state. Every route requires the shared secret
+ * (`Authorization: Bearer <ADMIN_API_SECRET>`); without it configured the routes are not registered.
+ * Clients may name themselves in an `X-Admin-Caller` header, which is logged but not trusted: the audit log
+ * records every admin request as `admin-api:shared-secret`.
+ * POST /token hands out tokens limited to the requested repos. A caller can ask for `scope: 'batch'` instead, to
+ * share the cached batch tokens; those grant access to every repo of the batch (up to 500), and each token's
+ * `repositories` lists them all.
+ *
+ * Routes (relative to the router mount point, /admin by default):
+ *   POST /token                                               { repositories: ['owner/repo'], permissions, scope } -> tokens
+ *   GET  /installations                                       installations with repo and batch counts
+ *   GET  /installations/:installationId/batches               batch layout of one installation (id or account login)
+ *   GET  /cache                                               cached tokens and their expiry (token values omitted)
+ *   POST /installations/:installationId/batches/:batchIndex/refresh   { permissions } -> force a new batch token
+ */
+import crypto from 'crypto';
+import {
+  installationSelection,
+  installationPermissions,
+  installationAccounts,
+  knownInstallations,
+  resolveInstallation,
+  batchesForInstallation,
+  getBatchLayout,
+  getTokensForRepos,
+  refreshBatchToken,
+  DEFAULT_PERMISSIONS,
+} from './tokenBatcher.js';
+import { listCachedTokens, isTokenFresh } from './tokenCache.js';
+import { TokenError, TokenValidationError } from './errors.js';
+
+// Largest JSON body accepted by the admin routes
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Constant-time comparison of a presented secret with the configured one.
+ * @param {string} given
+ * @param {string} expected
+ * @returns {boolean}
+ */
+export function secretMatches(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Longest X-Admin-Caller value kept for the logs
+const MAX_CLAIMED_CALLER_LENGTH = 100;
+
+/**
+ * Build the auth middleware from ADMIN_API_SECRET.
+ * Authenticated requests get `req.adminCaller` ('shared-secret', the identity that was actually verified) and,
+ * when the client sent one, the unverified `X-Admin-Caller` name in `req.adminCallerClaimed`.
+ * @returns {Function|undefined} express middleware, or undefined when no secret is configured
+ */
+function adminAuth() {
+  const secret = process.env.ADMIN_API_SECRET;
+  if (!secret) return undefined;
+
+  return (req, res, next) => {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ') && secretMatches(header.slice('Bearer '.length), secret)) {
+      req.adminCaller = 'shared-secret';
+      const claimed = req.headers['x-admin-caller'];
+      if (claimed) req.adminCallerClaimed = String(claimed).slice(0, MAX_CLAIMED_CALLER_LENGTH);
+      return next();
+    }
+    res.status(401).json({ error: 'unauthorized' });
+  };
+}
+
+// Caller for log lines; the claimed name is quoted so it cannot forge log content
+function callerLabel(req) {
+  return req.adminCallerClaimed ? `${req.adminCaller} (claims ${JSON.stringify(req.adminCallerClaimed)})` : req.adminCaller;
+}
+
+async function readJsonBody(req) {
+  if (req.body !== undefined) return req.body;
+  const chunks = [];
+  let size = 0;
+  for await (const part of req) {
+    size += part.length;
+    if (size > MAX_BODY_BYTES) throw new TokenValidationError('Request body too large');
+    chunks.push(part);
+  }
+  if (chunks.length === 0) return {};
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new TokenValidationError('Request body is not valid JSON');
+  }
+}
+
+function sendError(app, res, err) {
+  if (err instanceof TokenValidationError) {
+    return res.status(400).json({ error: err.name, message: err.message, repositories: err.repositories });
+  }
+  if (err instanceof TokenError) {
+    app.log.error(`[adminApi] ${err.name}: ${err.message}`);
+    return res.status(502).json({ error: err.name, message: err.message, status: err.status, requestId: err.requestId });
+  }
+  app.log.error(`[adminApi] ${err.message}`);
+  return res.status(500).json({ error: 'internal_error' });
+}
+
+// Installation named by the route (id or account login), undefined when the app has no such installation
+function installationParam(req) {
+  try {
+    const installationId = resolveInstallation(req.params.installationId);
+    return knownInstallations().includes(installationId) ? installationId : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Register the admin routes on a Probot router.
+ * @param {*} app - The Probot app instance.
+ * @param {*} router - express router, e.g. getRouter('/admin')
+ * @returns {boolean} false when ADMIN_API_SECRET is not set (routes not registered)
+ */
+export function registerAdminApi(app, router) {
+  const auth = adminAuth();
+  if (!auth) {
+    app.log.info('[adminApi] ADMIN_API_SECRET not set; admin API disabled');
+    return false;
+  }
+  router.use(auth);
+
+  router.post('/token', async (req, res) => {
+    try {
+      const { repositories, permissions = DEFAULT_PERMISSIONS, scope = 'requested' } = await readJsonBody(req);
+      if (!Array.isArray(repositories) || repositories.length === 0 || !repositories.every(r => typeof r === 'string' && r.includes('/'))) {
+        throw new TokenValidationError('`repositories` must be a non-empty list of owner/repo names');
+      }
+      if (scope !== 'requested' && scope !== 'batch') {
+        throw new TokenValidationError('`scope` must be "requested" or "batch"');
+      }
+      const tokens = await getTokensForRepos(repositories, { permissions, scope, caller: `admin-api:${req.adminCaller}` });
+      const covered = tokens.reduce((n, token) => n + token.repositories.length, 0);
+      app.log.info(`[adminApi] ${callerLabel(req)} got ${tokens.length} ${scope} token(s) for ${repositories.length} repo(s), covering ${covered} repo(s)`);
+      res.json({ tokens });
+    } catch (err) {
+      sendError(app, res, err);
+    }
+  });
+
+  router.get('/installations', (req, res) => {
+    res.json({
+      installations: knownInstallations().map(installationId => {
+        const batches = batchesForInstallation(installationId);
+        return {
+          installationId,
+          account: installationAccounts[installationId],
+          repositorySelection: installationSelection[installationId],
+          permissions: installationPermissions[installationId],
+          repoCount: batches.reduce((n, batch) => n + batch.length, 0),
+          batchCount: batches.length,
+        };
+      }),
+    });
+  });
+
+  router.get('/installations/:installationId/batches', (req, res) => {
+    const installationId = installationParam(req);
+    if (installationId === undefined) {
+      return res.status(404).json({ error: 'installation_not_found' });
+    }
+    res.json(getBatchLayout(installationId));
+  });
+
+  router.get('/cache', (req, res) => {
+    const now = Date.now();
+    res.json({
+      tokens: listCachedTokens().map(entry => ({
+        installationId: entry.installationId,
+        batchIndex: entry.batchIndex,
+        permissions: entry.permissionsKey,
+        repoCount: entry.batchRepos?.length,
+        expires_at: entry.expires_at,
+        expiresInSeconds: Math.round((entry.expiresAtMs - now) / 1000),
+        fresh: isTokenFresh(entry, now),
+      })),
+    });
+  });
+
+  router.post('/installations/:installationId/batches/:batchIndex/refresh', async (req, res) => {
+    try {
+      const { permissions = DEFAULT_PERMISSIONS } = await readJsonBody(req);
+      const installationId = installationParam(req);
+      if (installationId === undefined) {
+        return res.status(404).json({ error: 'installation_not_found' });
+      }
+      const batchIndex = Number(req.params.batchIndex);
+      const entry = await refreshBatchToken({ installationId, batchIndex, permissions, caller: `admin-api:${req.adminCaller}` });
+      app.log.info(`[adminApi] ${callerLabel(req)} refreshed batch ${batchIndex} of installation ${installationId}`);
+      res.json({ installationId, batchIndex, permissions: entry.permissionsKey, expires_at: entry.expires_at });
+    } catch (err) {
+      sendError(app, res, err);
+    }
+  });
+
+  app.log.info('[adminApi] Admin API enabled');
+  return true;
+}
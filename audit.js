@@ -0,0 +1,70 @@
+/**
+ * audit.js
+ * Structured audit trail: one event for every installation token minted, refreshed or revoked.
+ * Events are JSON objects written to the sink selected by AUDIT_SINK:
+ *   - stdout (default): one JSON line per event on stdout
+ *   - file: appended as JSON lines to AUDIT_FILE (default audit.jsonl)
+ *   - none: dropped
+ * setAuditSink() installs a custom sink (e.g. a queue producer). Events never contain token values.
+ */
+import fs from 'fs';
+import { log } from './logger.js';
+
+let sink;
+
+function sinkFromEnv() {
+  const kind = (process.env.AUDIT_SINK || 'stdout').toLowerCase();
+  switch (kind) {
+    case 'none':
+      return () => {};
+    case 'file': {
+      const file = process.env.AUDIT_FILE || 'audit.jsonl';
+      return event => fs.appendFileSync(file, `${JSON.stringify(event)}\n`);
+    }
+    case 'stdout':
+      return event => process.stdout.write(`${JSON.stringify(event)}\n`);
+    default:
+      throw new Error(`Unknown AUDIT_SINK "${kind}" (expected stdout, file or none)`);
+  }
+}
+
+/**
+ * Replace the audit sink. Pass undefined to go back to the AUDIT_SINK default.
+ * @param {(event: object) => void} [fn]
+ */
+export function setAuditSink(fn) {
+  sink = fn;
+}
+
+/**
+ * Record an audit event. Sink failures are logged, never thrown, so auditing can't break token issuance.
+ * @param {object} event
+ * @param {'mint'|'refresh'|'revoke'} event.action
+ * @param {number|string} event.installationId
+ * @param {number|string} [event.batchIndex] - batch index, `repo:<name>` for single-repo tokens
+ * @param {number|string} [event.repoCount] - repos the token covers ('all' for installation-wide tokens)
+ * @param {object} [event.permissions]
+ * @param {string} [event.expiresAt]
+ * @param {string} [event.caller] - who asked for the token (handler name, admin API client, ...)
+ * @param {string} [event.reason] - why (cache-miss, expiring, batch-changed, forced, ...)
+ */
+export function auditEvent({ action, installationId, batchIndex, repoCount, permissions, expiresAt, caller, reason }) {
+  const event = {
+    timestamp: new Date().toISOString(),
+    type: 'installation_token',
+    action,
+    installationId,
+    batchIndex,
+    repoCount,
+    permissions,
+    expiresAt,
+    caller: caller || 'app',
+    reason,
+  };
+  try {
+    if (!sink) sink = sinkFromEnv();
+    sink(event);
+  } catch (err) {
+    log.error(`[audit] Failed to write audit event: ${err.message}`);
+  }
+}
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * split-token.js
+ * Installation-management CLI for the app: add / remove repos by name pattern or topic, diff an installation
+ * against its org, plan the 500-repo batches and mint a token for a batch. Installation repos are listed with the
+ * repo-cache logic from tokenBatcher.js, so the batches shown are the ones the app uses.
+ *
+ * Credentials:
+ *   APP_ID + PRIVATE_KEY / PRIVATE_KEY_PATH   app credentials (all commands; PRIVATE_KEY_FALLBACKS as in the app)
+ *   TOKEN / GITHUB_TOKEN                      user token with access to the org (add, remove, diff, --topic);
+ *                                             GitHub only lets users add or remove installation repos
+ *
+ * Run `node bin/split-token.js --help` for the commands and options.
+ */
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { App, Octokit } from 'octokit';
+import {
+  populateRepoCache,
+  repoCache,
+  installationSelection,
+  resolveInstallation,
+  getBatchLayout,
+  batchesForInstallation,
+  getCachedBatchToken,
+  appCredentials,
+  setBatchSize,
+  DEFAULT_PERMISSIONS,
+} from '../tokenBatcher.js';
+import { resolveBaseUrl, privateKeyPem } from '../getAppInstallationToken.js';
+import { TokenError } from '../errors.js';
+import { setLogger } from '../logger.js';
+import { setAuditSink } from '../audit.js';
+
+const USAGE = `Usage: node bin/split-token.js <command> [options]
+
+Commands:
+  plan    --installation <id|login> [--batch-size <n>]               show which repos land in which batch
+  diff    --installation <id|login> --org <org>                      compare the installation's repos with the org's
+  add     --installation <id|login> --org <org> <selector>           add org repos to the installation
+  remove  --installation <id|login> [--org <org>] <selector>         remove repos from the installation
+  token   --installation <id|login> --batch <n> [--permissions <json>] mint a token for one batch
+
+Selectors (add / remove, combined with AND):
+  --pattern <glob>[,<glob>...]   repo name pattern, e.g. 'svc-*'
+  --topic <topic>                repos with this topic (needs --org)
+  --repos <name>[,<name>...]     explicit repo names
+
+Options:
+  --dry-run, -n          show what would change (or be minted) without calling the write APIs
+  --json                 machine-readable output
+  --concurrency, -c <n>  parallel add / remove requests (default 4; rate limits are waited out)
+  --verbose, -v          log progress to stderr
+  --help, -h`;
+
+const OPTIONS = {
+  installation: { type: 'string', short: 'i' },
+  org: { type: 'string', short: 'o' },
+  pattern: { type: 'string', short: 'p' },
+  topic: { type: 'string', short: 't' },
+  repos: { type: 'string' },
+  batch: { type: 'string', short: 'b' },
+  'batch-size': { type: 'string' },
+  permissions: { type: 'string' },
+  concurrency: { type: 'string', short: 'c' },
+  'dry-run': { type: 'boolean', short: 'n' },
+  json: { type: 'boolean' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const DEFAULT_CONCURRENCY = 4;
+// Retries of a request hit by a (secondary) rate limit before it fails
+const RATE_LIMIT_RETRIES = 3;
+
+/** Invalid command line; reported with the usage text and exit code 2. */
+export class UsageError extends Error {}
+
+function nonNegativeInt(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new UsageError(`--${name} must be a non-negative integer (got ${value})`);
+  return n;
+}
+
+function requireOption(values, name) {
+  if (values[name] === undefined) throw new UsageError(`--${name} is required`);
+  return values[name];
+}
+
+function globToRegExp(glob) {
+  const source = glob.split('').map(c => (c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&'))).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function splitList(value) {
+  return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Octokit clients for the command: the app (JWT / installation tokens) and, when a user token is set, the user.
+ * @param {object} logger
+ * @returns {{ app: object, user?: Octokit }}
+ */
+function createClients(logger) {
+  const { clientId, privatePem } = appCredentials();
+  // octokit's App signs its own JWTs, so it needs a key rather than a signer
+  const privateKey = privateKeyPem(privatePem);
+  if (!privateKey) throw new UsageError('The CLI needs a private key in PRIVATE_KEY, PRIVATE_KEY_PATH or PRIVATE_KEY_FALLBACKS');
+  const throttle = {
+    onRateLimit: (retryAfter, options) => {
+      logger.warn(`Rate limited on ${options.method} ${options.url}; retrying in ${retryAfter}s`);
+      return options.request.retryCount < RATE_LIMIT_RETRIES;
+    },
+    onSecondaryRateLimit: (retryAfter, options) => {
+      logger.warn(`Secondary rate limit on ${options.method} ${options.url}; retrying in ${retryAfter}s`);
+      return options.request.retryCount < RATE_LIMIT_RETRIES;
+    },
+  };
+  const ClientOctokit = Octokit.defaults({ baseUrl: resolveBaseUrl(), throttle, log: logger });
+  const githubApp = new App({ appId: clientId, privateKey, Octokit: ClientOctokit });
+  // The shape populateRepoCache expects from a Probot app
+  const app = {
+    log: logger,
+    auth: installationId => (installationId ? githubApp.getInstallationOctokit(installationId) : githubApp.octokit),
+  };
+  const userToken = process.env.TOKEN || process.env.GITHUB_TOKEN;
+  return { app, user: userToken ? new ClientOctokit({ auth: userToken }) : undefined };
+}
+
+function requireUser(clients, command) {
+  if (!clients.user) throw new UsageError(`${command} needs a user token in TOKEN or GITHUB_TOKEN`);
+  return clients.user;
+}
+
+/**
+ * Load every installation into repoCache and pick the one named by --installation (id or account login).
+ * @returns {Promise<{ installationId: number, repos: { full_name: string, name: string, id: number }[] }>}
+ */
+async function loadInstallation(clients, values) {
+  await populateRepoCache(clients.app);
+  const installationId = resolveInstallation(values.installation);
+  if (installationId === undefined || !installationSelection[installationId]) {
+    throw new UsageError(`Installation ${values.installation} not found for this app`);
+  }
+  const repos = Object.keys(repoCache)
+    .filter(full => repoCache[full].installationId === installationId)
+    .map(full => ({ full_name: full, name: full.split('/')[1], id: repoCache[full].id }));
+  return { installationId, repos };
+}
+
+async function listOrgRepos(clients, org) {
+  return await requireUser(clients, 'Listing org repos').paginate('GET /orgs/{org}/repos', { org, per_page: 100 });
+}
+
+function selectRepos(repos, { pattern, topic, repos: names }) {
+  const patterns = splitList(pattern).map(globToRegExp);
+  const wanted = new Set(splitList(names));
+  if (patterns.length === 0 && !topic && wanted.size === 0) {
+    throw new UsageError('Select repos with --pattern, --topic and/or --repos');
+  }
+  return repos.filter(repo => (patterns.length === 0 || patterns.some(re => re.test(repo.name)))
+    && (!topic || (repo.topics || []).includes(topic))
+    && (wanted.size === 0 || wanted.has(repo.name) || wanted.has(repo.full_name)));
+}
+
+/**
+ * Run `fn` over `items` with at most `concurrency` calls in flight, collecting failures instead of stopping.
+ * @returns {Promise<{ ok: object[], failed: { item: object, error: Error }[] }>}
+ */
+async function runPool(items, concurrency, fn) {
+  const ok = [];
+  const failed = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await fn(item);
+        ok.push(item);
+      } catch (error) {
+        failed.push({ item, error });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return { ok, failed };
+}
+
+async function changeRepos(clients, values, command) {
+  const user = requireUser(clients, command);
+  const { installationId, repos: installed } = await loadInstallation(clients, values);
+  let candidates;
+  if (command === 'add') {
+    const org = requireOption(values, 'org');
+    const current = new Set(installed.map(r => r.full_name));
+    candidates = (await listOrgRepos(clients, org)).filter(repo => !current.has(repo.full_name));
+  } else if (values.topic) {
+    // Topics are only in the org listing; keep the installation repos that carry the topic there
+    const org = requireOption(values, 'org');
+    const withTopic = new Set((await listOrgRepos(clients, org)).filter(r => (r.topics || []).includes(values.topic)).map(r => r.full_name));
+    candidates = installed.filter(r => withTopic.has(r.full_name)).map(r => ({ ...r, topics: [values.topic] }));
+  } else {
+    candidates = installed;
+  }
+  const selected = selectRepos(candidates, values);
+  const result = { command, installationId, dryRun: Boolean(values['dry-run']), repos: selected.map(r => r.full_name) };
+  if (values['dry-run'] || selected.length === 0) return result;
+
+  const route = command === 'add'
+    ? 'PUT /user/installations/{installation_id}/repositories/{repository_id}'
+    : 'DELETE /user/installations/{installation_id}/repositories/{repository_id}';
+  const concurrency = values.concurrency ? Math.max(1, nonNegativeInt(values.concurrency, 'concurrency')) : DEFAULT_CONCURRENCY;
+  const { ok, failed } = await runPool(selected, concurrency, repo => user.request(route, { installation_id: installationId, repository_id: repo.id }));
+  result.repos = ok.map(r => r.full_name);
+  result.failed = failed.map(({ item, error }) => ({ repo: item.full_name, status: error.status, message: error.message }));
+  return result;
+}
+
+const COMMANDS = {
+  async plan(clients, values) {
+    if (values['batch-size']) setBatchSize(nonNegativeInt(values['batch-size'], 'batch-size'));
+    const { installationId } = await loadInstallation(clients, values);
+    return { command: 'plan', ...getBatchLayout(installationId) };
+  },
+
+  async diff(clients, values) {
+    const org = requireOption(values, 'org');
+    const { installationId, repos } = await loadInstallation(clients, values);
+    const installed = new Set(repos.map(r => r.full_name));
+    const inOrg = new Set((await listOrgRepos(clients, org)).map(r => r.full_name));
+    return {
+      command: 'diff',
+      installationId,
+      org,
+      inBoth: [...installed].filter(full => inOrg.has(full)).length,
+      onlyInOrg: [...inOrg].filter(full => !installed.has(full)).sort(),
+      onlyInInstallation: [...installed].filter(full => !inOrg.has(full)).sort(),
+    };
+  },
+
+  add: (clients, values) => changeRepos(clients, values, 'add'),
+  remove: (clients, values) => changeRepos(clients, values, 'remove'),
+
+  async token(clients, values) {
+    const batchIndex = nonNegativeInt(requireOption(values, 'batch'), 'batch');
+    let permissions = DEFAULT_PERMISSIONS;
+    if (values.permissions) {
+      try {
+        permissions = JSON.parse(values.permissions);
+      } catch {
+        throw new UsageError('--permissions must be JSON, e.g. \'{"contents":"read"}\'');
+      }
+    }
+    const { installationId } = await loadInstallation(clients, values);
+    const repositories = batchesForInstallation(installationId)[batchIndex];
+    if (!repositories?.length) throw new UsageError(`Installation ${installationId} has no batch ${batchIndex}`);
+    const result = { command: 'token', installationId, batchIndex, repoCount: repositories.length, permissions, dryRun: Boolean(values['dry-run']) };
+    if (values['dry-run']) return result;
+    const { clientId, privatePem } = appCredentials();
+    const entry = await getCachedBatchToken({ clientId, privatePem, installationId, batchIndex, repositories, permissions, caller: 'cli' });
+    return { ...result, token: entry.token, expires_at: entry.expires_at };
+  },
+};
+
+function formatText(result) {
+  switch (result.command) {
+    case 'plan':
+      return [
+        `Installation ${result.installationId}${result.account ? ` (${result.account})` : ''}: ${result.batches.reduce((n, b) => n + b.size, 0)} repos in ${result.batches.length} batch(es) of up to ${result.batchSize}`,
+        ...result.batches.map(b => `  batch ${b.batchIndex}: ${b.size} repos${b.size ? ` (${b.repos[0]} .. ${b.repos[b.size - 1]})` : ''}`),
+      ].join('\n');
+    case 'diff':
+      return [
+        `Installation ${result.installationId} vs org ${result.org}: ${result.inBoth} in both`,
+        `Only in org (${result.onlyInOrg.length}):`, ...result.onlyInOrg.map(r => `  + ${r}`),
+        `Only in installation (${result.onlyInInstallation.length}):`, ...result.onlyInInstallation.map(r => `  - ${r}`),
+      ].join('\n');
+    case 'add':
+    case 'remove': {
+      const verb = result.dryRun ? `[dry run] Would ${result.command}` : result.command === 'add' ? 'Added' : 'Removed';
+      const lines = [`${verb} ${result.repos.length} repo(s) ${result.command === 'add' ? 'to' : 'from'} installation ${result.installationId}`];
+      lines.push(...result.repos.map(r => `  ${r}`));
+      for (const f of result.failed || []) lines.push(`  FAILED ${f.repo}: ${f.status ?? ''} ${f.message}`);
+      return lines.join('\n');
+    }
+    case 'token':
+      return result.dryRun
+        ? `[dry run] Would mint a token for batch ${result.batchIndex} of installation ${result.installationId} (${result.repoCount} repos, ${JSON.stringify(result.permissions)})`
+        : `${result.token}\n# batch ${result.batchIndex}, ${result.repoCount} repos, ${JSON.stringify(result.permissions)}, expires ${result.expires_at}`;
+    default:
+      return JSON.stringify(result, null, 2);
+  }
+}
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - arguments after the script name
+ * @param {object} [io]
+ * @param {(text: string) => void} [io.out] - stdout writer
+ * @returns {Promise<object>} the command result
+ */
+export async function run(argv, { out = text => process.stdout.write(`${text}\n`) } = {}) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command] = positionals;
+  if (values.help || !command) {
+    out(USAGE);
+    return undefined;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+  // Every command works on one installation; check before asking for credentials
+  requireOption(values, 'installation');
+
+  // stdout is reserved for the result; logs and audit events go to stderr
+  const logger = {
+    debug: (...args) => values.verbose && console.error(...args),
+    info: (...args) => values.verbose && console.error(...args),
+    warn: (...args) => console.error(...args),
+    error: (...args) => console.error(...args),
+  };
+  setLogger(logger);
+  if (!process.env.AUDIT_SINK) setAuditSink(event => process.stderr.write(`${JSON.stringify(event)}\n`));
+
+  const result = await COMMANDS[command](createClients(logger), values);
+  out(values.json ? JSON.stringify(result, null, 2) : formatText(result));
+  return result;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  run(process.argv.slice(2)).catch((err) => {
+    if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`${err.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+    } else if (err instanceof TokenError) {
+      console.error(`${err.name}: ${err.message}${err.requestId ? ` (request ${err.requestId})` : ''}`);
+      process.exitCode = 1;
+    } else {
+      console.error(err.message);
+      process.exitCode = 1;
+    }
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * errors.js
+ * Typed errors raised while minting installation access tokens. Every error carries the HTTP status (when GitHub
+ * answered), the `x-github-request-id` of the failed request and the repositories the token was requested for,
+ * so the batcher and webhook handlers can tell a bad key from a stale repo list or a rate limit.
+ */
+
+/**
+ * Base class for all token minting failures.
+ */
+export class TokenError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number} [details.status] - HTTP status returned by GitHub
+   * @param {string} [details.requestId] - x-github-request-id of the failed request
+   * @param {string|number} [details.installationId]
+   * @param {string[]} [details.repositories] - repositories the token was requested for
+   * @param {Error} [details.cause] - underlying error
+   */
+  constructor(message, { status, requestId, installationId, repositories, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.requestId = requestId;
+    this.installationId = installationId;
+    this.repositories = repositories;
+  }
+}
+
+/** Invalid input detected before calling GitHub (missing credentials, empty or oversized repo list, ...). */
+export class TokenValidationError extends TokenError {}
+
+/** Requested permissions the installation was never granted (checked before calling GitHub). */
+export class PermissionNotGrantedError extends TokenValidationError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.permissions = details.permissions;
+  }
+}
+
+/** 401: the JWT was rejected (wrong APP_ID, wrong or unreadable private key, clock skew). */
+export class TokenAuthError extends TokenError {}
+
+/** 404: the installation does not exist or the app was uninstalled. */
+export class InstallationNotFoundError extends TokenError {}
+
+/** 422: a requested repository is not part of the installation, or the request exceeds the repository limit. */
+export class RepositoryAccessError extends TokenError {}
+
+/** 403/429 rate limit (primary or secondary). `retryAfterMs` says how long GitHub asked us to wait, when known. */
+export class RateLimitError extends TokenError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfterMs = details.retryAfterMs;
+  }
+}
+
+/** Transient failures (502/503/504, network errors) that persisted through every retry attempt. */
+export class TransientRetryExhaustedError extends TokenError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.attempts = details.attempts;
+  }
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  return typeof headers.get === 'function' ? headers.get(name) ?? undefined : headers[name];
+}
+
+/**
+ * Milliseconds GitHub asked us to wait, from `retry-after` or `x-ratelimit-reset` (undefined if neither is set).
+ * @param {object} headers - response headers
+ * @param {number} [now]
+ * @returns {number|undefined}
+ */
+export function retryAfterMsFromHeaders(headers, now = Date.now()) {
+  const retryAfter = headerValue(headers, 'retry-after');
+  if (retryAfter !== undefined && !Number.isNaN(Number(retryAfter))) return Number(retryAfter) * 1000;
+  const reset = headerValue(headers, 'x-ratelimit-reset');
+  if (reset !== undefined && !Number.isNaN(Number(reset))) return Math.max(0, Number(reset) * 1000 - now);
+  return undefined;
+}
+
+/**
+ * Whether a 403/429 response is a (secondary) rate limit rather than a permission problem.
+ * @param {number} status
+ * @param {object} headers
+ * @param {object} [data] - response body
+ * @returns {boolean}
+ */
+export function isRateLimitResponse(status, headers, data) {
+  if (status === 429) return true;
+  if (status !== 403) return false;
+  if (String(headerValue(headers, 'x-ratelimit-remaining')) === '0') return true;
+  if (headerValue(headers, 'retry-after') !== undefined) return true;
+  return /rate limit/i.test(data?.message || '');
+}
+
+/**
+ * Map a failed GitHub response to the matching TokenError subclass.
+ * @param {object} response - { status, headers, data }
+ * @param {object} context
+ * @param {string|number} context.installationId
+ * @param {string[]} [context.repositories]
+ * @param {Error} [context.cause]
+ * @returns {TokenError}
+ */
+export function tokenErrorFromResponse({ status, headers, data }, { installationId, repositories, cause } = {}) {
+  const requestId = headerValue(headers, 'x-github-request-id');
+  const details = { status, requestId, installationId, repositories, cause };
+  const reason = data?.message ? `: ${data.message}` : '';
+  if (isRateLimitResponse(status, headers, data)) {
+    return new RateLimitError(`Rate limited creating token for installation ${installationId}${reason}`, {
+      ...details,
+      retryAfterMs: retryAfterMsFromHeaders(headers),
+    });
+  }
+  switch (status) {
+    case 401:
+      return new TokenAuthError(`GitHub rejected the app JWT (check APP_ID and private key)${reason}`, details);
+    case 404:
+      return new InstallationNotFoundError(`Installation ${installationId} not found${reason}`, details);
+    case 422:
+      return new RepositoryAccessError(`Repositories not accessible to installation ${installationId} or over the limit${reason}`, details);
+    default:
+      return new TokenError(`Token request for installation ${installationId} failed with status ${status}${reason}`, details);
+  }
+}
@@ -2,51 +2,278 @@
  * @describe This module provides functions to generate a JWT token for GitHub App authentication
  * and to retrieve an installation access token using that JWT. 
  * 
+ * The app key can be a PEM string, a path to a PEM file, a base64-encoded PEM, an external signer
+ * (`{ sign: async (payload) => jwt }`, e.g. backed by a KMS) or a list of these. Keys in a list are tried in
+ * order when GitHub answers 401, so a new key can be rolled out next to the old one. Parsed keys are cached,
+ * and a signed JWT is reused until shortly before it expires.
  */
 import axios from 'axios';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import fs from 'fs';
+import {
+    TokenError,
+    TokenValidationError,
+    TokenAuthError,
+    RateLimitError,
+    TransientRetryExhaustedError,
+    tokenErrorFromResponse
+} from './errors.js';
+import {
+    schedule,
+    pauseFor,
+    noteRateLimitHeaders,
+    waitForRateLimit,
+    DEFAULT_SECONDARY_BACKOFF_MS
+} from './tokenThrottle.js';
+import { log } from './logger.js';
+import { auditEvent } from './audit.js';
+import {
+    recordTokenMinted,
+    observeTokenRequest,
+    recordTokenRequestRetry,
+    recordTokenRequestFailure
+} from './metrics.js';
+
+const DEFAULT_BASE_URL = 'https://api.github.com'; // Default GitHub API base URL
+const JWT_MAX_LIFETIME_SECONDS = 10 * 60; // GitHub rejects JWTs valid for longer than 10 minutes
+const JWT_LIFETIME_SECONDS = 9 * 60; // keep well under the 10-minute max
+const DEFAULT_IAT_BACKDATE_SECONDS = 60; // GitHub recommends backdating `iat` by 60s against clock drift (JWT_IAT_BACKDATE_SECONDS)
+const JWT_REUSE_MARGIN_MS = 60 * 1000; // sign a new JWT once the cached one is this close to `exp`
+
+// key string as configured => its resolved source, so a path is checked on disk once and stays a path
+const sourceCache = new Map();
+// source id => parsed private key (crypto.KeyObject)
+const keyCache = new Map();
+// `${clientId}:${source id}` => { token, expiresAtMs }
+const jwtCache = new Map();
+// clientId => id of the key GitHub last accepted, tried first next time
+const preferredKey = new Map();
+// signer function => source id
+const signerIds = new WeakMap();
+let signerCount = 0;
+// Keys set with setAppKeys(), used instead of the env variables
+let configuredKeys;
 
-const baseUrl = 'https://api.github.com'; // Default GitHub API base URL
 /**
- * Generate a JWT for GitHub App authentication (fixed 9‑minute lifetime as per GitHub limits < 10 minutes).
- * @param {string} clientId - GitHub App Client ID
- * @param {string} privatePem - Private key content (PEM string or path to PEM file)
- * @returns {string} Signed JWT
+ * Resolve the GitHub API base URL. An explicit value wins; otherwise Probot's GHE_HOST / GHE_PROTOCOL
+ * environment variables select a GitHub Enterprise Server host, falling back to api.github.com.
+ * @param {string} [baseUrl] - e.g. 'https://ghes.example.com/api/v3'
+ * @returns {string} base URL without trailing slash
  */
-function generateJWT(clientId, privatePem) {
-    const expirationMinutes = 9; // keep well under GitHub 10‑minute max
-    if (!clientId) throw new Error('Client ID is required');
-    if (!privatePem) throw new Error('Private key is required');
-    if (expirationMinutes > 10) throw new Error('JWT expiration cannot exceed 10 minutes');
+function resolveBaseUrl(baseUrl) {
+    if (baseUrl) return baseUrl.replace(/\/+$/, '');
+    if (process.env.GHE_HOST) {
+        const protocol = process.env.GHE_PROTOCOL || 'https';
+        return `${protocol}://${process.env.GHE_HOST}/api/v3`;
+    }
+    return DEFAULT_BASE_URL;
+}
 
-    let privateKey;
-    try {
-        privateKey = fs.existsSync(privatePem) ? fs.readFileSync(privatePem, 'utf8') : privatePem;
-    } catch (error) {
-        throw new Error(`Error reading private key: ${error.message}`);
+function iatBackdateSeconds() {
+    const fromEnv = parseInt(process.env.JWT_IAT_BACKDATE_SECONDS || '', 10);
+    if (Number.isNaN(fromEnv) || fromEnv < 0) return DEFAULT_IAT_BACKDATE_SECONDS;
+    return Math.min(fromEnv, JWT_MAX_LIFETIME_SECONDS - 60);
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+/**
+ * Describe one key source: a signer object, a PEM string, a path to a PEM file or a base64-encoded PEM.
+ * Ids never contain key material, so they are safe to cache and log.
+ * @returns {{ id: string, sign?: Function, load?: () => string }}
+ */
+function resolveKeySource(source) {
+    if (source && typeof source.sign === 'function') {
+        if (!signerIds.has(source.sign)) signerIds.set(source.sign, `signer:${++signerCount}`);
+        return { id: signerIds.get(source.sign), sign: source.sign };
+    }
+    if (typeof source !== 'string' || !source.trim()) {
+        throw new TokenValidationError('Private key must be a PEM string, a file path, base64 PEM or { sign }');
+    }
+    const value = source.trim();
+    if (value.includes('-----BEGIN')) return { id: `pem:${digest(value)}`, load: () => value };
+    if (fs.existsSync(value)) return { id: `path:${value}`, load: () => fs.readFileSync(value, 'utf8') };
+    return {
+        id: `base64:${digest(value)}`,
+        load: () => {
+            const decoded = Buffer.from(value, 'base64').toString('utf8');
+            if (!decoded.includes('-----BEGIN')) {
+                throw new Error('value is neither a PEM, an existing file nor a base64-encoded PEM');
+            }
+            return decoded;
+        },
+    };
+}
+
+/**
+ * resolveKeySource() memoised per key string, so token requests make no filesystem calls once a key has been seen.
+ * A key file that disappears later is still read from keyCache instead of being taken for base64.
+ */
+function keySource(source) {
+    if (typeof source !== 'string') return resolveKeySource(source);
+    if (!sourceCache.has(source)) {
+        if (sourceCache.size >= 100) sourceCache.clear();
+        sourceCache.set(source, resolveKeySource(source));
     }
+    return sourceCache.get(source);
+}
+
+/**
+ * Key sources of `privatePem`, in the order they are tried: the one GitHub last accepted for this app first,
+ * then the rest in the configured order.
+ */
+function orderedKeySources(clientId, privatePem) {
+    const sources = (Array.isArray(privatePem) ? privatePem : [privatePem]).map(keySource);
+    if (sources.length === 0) throw new TokenValidationError('Private key is required');
+    const preferred = sources.findIndex(source => source.id === preferredKey.get(clientId));
+    return preferred > 0 ? [sources[preferred], ...sources.filter((_, i) => i !== preferred)] : sources;
+}
+
+function privateKeyFor(source) {
+    if (!keyCache.has(source.id)) {
+        try {
+            keyCache.set(source.id, crypto.createPrivateKey(source.load()));
+        } catch (error) {
+            throw new TokenAuthError(`Error reading private key: ${error.message}`, { cause: error });
+        }
+    }
+    return keyCache.get(source.id);
+}
+
+/**
+ * Get a JWT for GitHub App authentication signed with one key source, reusing the last one signed with that key
+ * until it is within a minute of expiring. `iat` is backdated by JWT_IAT_BACKDATE_SECONDS (default 60) so a clock
+ * running slightly ahead of GitHub's doesn't get the JWT rejected; the lifetime stays within GitHub's 10 minutes.
+ * @param {string} clientId - GitHub App Client ID
+ * @param {{ id: string, sign?: Function, load?: Function }} source - from keySource()
+ * @returns {Promise<string>} Signed JWT
+ */
+async function generateJWT(clientId, source) {
+    if (!clientId) throw new TokenValidationError('Client ID is required');
+    const cacheKey = `${clientId}:${source.id}`;
+    const cached = jwtCache.get(cacheKey);
+    if (cached && cached.expiresAtMs - Date.now() > JWT_REUSE_MARGIN_MS) return cached.token;
 
     const now = Math.floor(Date.now() / 1000);
-    const payload = { iat: now, exp: now + (expirationMinutes * 60), iss: clientId };
+    const iat = now - iatBackdateSeconds();
+    const payload = { iat, exp: Math.min(now + JWT_LIFETIME_SECONDS, iat + JWT_MAX_LIFETIME_SECONDS), iss: String(clientId) };
+    let token;
     try {
-        return jwt.sign(payload, privateKey, { algorithm: 'RS256' });
+        token = source.sign
+            ? await source.sign(payload)
+            : jwt.sign(payload, privateKeyFor(source), { algorithm: 'RS256' });
     } catch (error) {
-        throw new Error(`Error generating JWT: ${error.message}`);
+        if (error instanceof TokenError) throw error;
+        throw new TokenAuthError(`Error generating JWT: ${error.message}`, { cause: error });
     }
+    if (typeof token !== 'string' || !token) throw new TokenAuthError('JWT signer returned no token');
+    jwtCache.set(cacheKey, { token, expiresAtMs: payload.exp * 1000 });
+    return token;
+}
+
+/**
+ * Request an installation token, signing the JWT with each app key in turn until GitHub accepts one.
+ * Only a 401 moves on to the next key; the key that worked is tried first on later requests.
+ */
+async function requestWithAppKeys({ clientId, privatePem, installationId, data, baseUrl }) {
+    const sources = orderedKeySources(clientId, privatePem);
+    let lastError;
+    for (const [i, source] of sources.entries()) {
+        try {
+            const response = await requestInstallationAccessToken({
+                getJwt: () => generateJWT(clientId, source), installationId, data, baseUrl
+            });
+            if (preferredKey.get(clientId) !== source.id) {
+                if (i > 0) log.warn(`[installation-token] app key ${source.id} accepted after ${i} rejected key(s); using it first from now on`);
+                preferredKey.set(clientId, source.id);
+            }
+            return response;
+        } catch (error) {
+            if (!(error instanceof TokenAuthError) || error.status !== 401) throw error;
+            // A cached JWT may have been rejected for clock skew; sign a fresh one next time
+            jwtCache.delete(`${clientId}:${source.id}`);
+            lastError = error;
+            if (i < sources.length - 1) log.warn(`[installation-token] GitHub rejected the JWT signed with app key ${source.id}; trying the next key`);
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * App key sources from the environment, in the order they are tried: PRIVATE_KEY (PEM or base64 PEM, as Probot
+ * accepts it), PRIVATE_KEY_PATH, then PRIVATE_KEY_FALLBACKS (comma separated file paths or base64 PEMs), which
+ * keeps the old key working while a new one is rolled out.
+ * @param {object} [env]
+ * @returns {string[]}
+ */
+function appKeysFromEnv(env = process.env) {
+    const fallbacks = (env.PRIVATE_KEY_FALLBACKS || '').split(',').map(v => v.trim()).filter(Boolean);
+    return [env.PRIVATE_KEY, env.PRIVATE_KEY_PATH, ...fallbacks].filter(Boolean);
+}
+
+/**
+ * Use these app keys instead of the environment, e.g. an external signer: `setAppKeys([{ sign: payload => kms.sign(payload) }])`.
+ * Pass undefined to go back to the environment.
+ * @param {Array<string|{ sign: (payload: { iat: number, exp: number, iss: string }) => Promise<string>|string }>} [keys]
+ */
+function setAppKeys(keys) {
+    configuredKeys = keys;
+    preferredKey.clear();
+}
+
+/**
+ * App keys for token requests: the ones set with setAppKeys(), otherwise appKeysFromEnv().
+ * @returns {Array<string|object>}
+ */
+function appKeys() {
+    return configuredKeys ?? appKeysFromEnv();
+}
+
+/**
+ * PEM of the first key that has one (signers don't), for clients that need the key itself such as octokit's App.
+ * @param {string|Array<string|object>} privatePem
+ * @returns {string|undefined}
+ */
+function privateKeyPem(privatePem) {
+    for (const source of (Array.isArray(privatePem) ? privatePem : [privatePem]).map(keySource)) {
+        if (source.load) return privateKeyFor(source).export({ type: 'pkcs8', format: 'pem' });
+    }
+    return undefined;
+}
+
+/**
+ * Forget resolved key sources, parsed keys, signed JWTs and the preferred key, e.g. after a key file was replaced
+ * on disk.
+ */
+function clearAppKeyCache() {
+    sourceCache.clear();
+    keyCache.clear();
+    jwtCache.clear();
+    preferredKey.clear();
 }
 
 /**
  * Internal helper that actually calls the GitHub API to create an installation access token.
+ * Transient failures (502/503/504, network errors) are retried with exponential backoff. Rate limits (403/429)
+ * pause the shared throttler for `retry-after` / `x-ratelimit-reset` (or 60s) and the request is retried, up to
+ * TOKEN_RATE_LIMIT_RETRY_ATTEMPTS times. Anything else is thrown as the matching TokenError subclass (see errors.js).
+ * The JWT is fetched again for every attempt, after any rate limit wait, since the wait can outlast the JWT.
  * @param {Object} params
- * @param {string} params.jwtToken Signed JWT for the GitHub App
+ * @param {() => Promise<string>} params.getJwt Returns a signed, unexpired JWT for the GitHub App (see generateJWT)
  * @param {string|number} params.installationId Installation ID
  * @param {Object} [params.data] Optional request body (repositories / permissions)
+ * @param {string} [params.baseUrl] GitHub API base URL (see resolveBaseUrl)
  * @returns {Promise<Object>} Raw response data from GitHub
+ * @throws {TokenError}
  */
-async function requestInstallationAccessToken({ jwtToken, installationId, data = {} }) {
+async function requestInstallationAccessToken({ getJwt, installationId, data = {}, baseUrl = DEFAULT_BASE_URL }) {
     const maxAttempts = parseInt(process.env.TOKEN_REQUEST_RETRY_ATTEMPTS || '3', 10);
     const baseDelay = parseInt(process.env.TOKEN_REQUEST_RETRY_BASE_MS || '300', 10); // ms
+    const maxRateLimitAttempts = parseInt(process.env.TOKEN_RATE_LIMIT_RETRY_ATTEMPTS || '5', 10);
+    const repositories = [...(data.repositories || []), ...(data.repository_ids || [])];
 
     function isTransient(error) {
         if (!error) return false;
@@ -59,9 +286,20 @@ async function requestInstallationAccessToken({ jwtToken, installationId, data =
 
     function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
+    // axios errors carry the request (and its Authorization header); keep only what is safe to log
+    function safeCause(error) {
+        return Object.assign(new Error(error.message), { code: error.code, status: error.response?.status });
+    }
+
     let attempt = 0;
+    let rateLimitAttempts = 0;
+    let lastStatus;
+    let lastRequestId;
+    let lastError;
     while (attempt < maxAttempts) {
         attempt += 1;
+        await waitForRateLimit();
+        const jwtToken = await getJwt();
         try {
             const response = await axios.post(
                 `${baseUrl}/app/installations/${installationId}/access_tokens`,
@@ -76,41 +314,71 @@ async function requestInstallationAccessToken({ jwtToken, installationId, data =
                     validateStatus: s => (s >= 200 && s < 300) || [502,503,504].includes(s)
                 }
             );
+            noteRateLimitHeaders(response.headers);
             if (response.status >= 200 && response.status < 300) {
                 return response.data;
             }
 
+            lastStatus = response.status;
+            lastRequestId = response.headers?.['x-github-request-id'];
             if (attempt < maxAttempts) {
                 const delay = Math.round(baseDelay * Math.pow(2, attempt - 1) + Math.random() * baseDelay);
-                console.warn(`[installation-token] transient status=${response.status} attempt=${attempt}/${maxAttempts} retrying in ${delay}ms`);
+                log.warn(`[installation-token] transient status=${response.status} attempt=${attempt}/${maxAttempts} retrying in ${delay}ms`);
+                recordTokenRequestRetry(response.status);
                 await sleep(delay);
                 continue;
             }
             break;
         } catch (error) {
-            if (isTransient(error) && attempt < maxAttempts) {
+            if (!isTransient(error)) {
+                if (!error.response) {
+                    throw new TokenError(`Token request for installation ${installationId} failed: ${error.message}`, { installationId, repositories, cause: safeCause(error) });
+                }
+                noteRateLimitHeaders(error.response.headers);
+                const tokenError = tokenErrorFromResponse(error.response, { installationId, repositories, cause: safeCause(error) });
+                if (tokenError instanceof RateLimitError && rateLimitAttempts < maxRateLimitAttempts) {
+                    rateLimitAttempts += 1;
+                    // Rate limit waits don't use up the transient retry budget
+                    attempt -= 1;
+                    const wait = tokenError.retryAfterMs ?? DEFAULT_SECONDARY_BACKOFF_MS;
+                    pauseFor(wait);
+                    log.warn(`[installation-token] rate limited status=${tokenError.status} wait=${wait}ms rate-limit-attempt=${rateLimitAttempts}/${maxRateLimitAttempts}`);
+                    recordTokenRequestRetry(tokenError.status);
+                    continue;
+                }
+                throw tokenError;
+            }
+            lastStatus = error.response?.status;
+            lastRequestId = error.response?.headers?.['x-github-request-id'];
+            lastError = safeCause(error);
+            if (attempt < maxAttempts) {
                 const delay = Math.round(baseDelay * Math.pow(2, attempt - 1) + Math.random() * baseDelay);
                 const status = error.response ? error.response.status : 'NO_RESPONSE';
-                console.warn(`[installation-token] transient error status=${status} attempt=${attempt}/${maxAttempts} retrying in ${delay}ms`);
+                log.warn(`[installation-token] transient error status=${status} attempt=${attempt}/${maxAttempts} retrying in ${delay}ms`);
+                recordTokenRequestRetry(error.response?.status);
                 await sleep(delay);
                 continue;
             }
-            console.log(error);
             break;
         }
     }
+    throw new TransientRetryExhaustedError(
+        `Token request for installation ${installationId} still failing after ${attempt} attempts (last status=${lastStatus ?? 'NO_RESPONSE'})`,
+        { status: lastStatus, requestId: lastRequestId, installationId, repositories, attempts: attempt, cause: lastError }
+    );
 }
 
 function validateCoreParams({ clientId, privatePem, installationId }) {
-    if (!clientId) throw new Error('Client ID is required');
-    if (!privatePem) throw new Error('Private key is required');
-    if (!installationId) throw new Error('Installation ID is required');
+    if (!clientId) throw new TokenValidationError('Client ID is required');
+    if (!privatePem || privatePem.length === 0) throw new TokenValidationError('Private key is required');
+    if (!installationId) throw new TokenValidationError('Installation ID is required');
 }
 
-function buildAccessTokenRequestBody(repositories, permissions) {
-    if (!repositories && !permissions) return undefined;
+function buildAccessTokenRequestBody(repositories, permissions, repositoryIds) {
+    if (!repositories && !repositoryIds && !permissions) return undefined;
     const body = {};
     if (repositories) body.repositories = repositories;
+    if (repositoryIds) body.repository_ids = repositoryIds;
     if (permissions) body.permissions = permissions;
     return body;
 }
@@ -118,19 +386,85 @@ function buildAccessTokenRequestBody(repositories, permissions) {
 /**
  * Core function: obtains an installation access token. If repositories/permissions are omitted,
  * a token with full installation repository access is returned. Always returns the full GitHub response object.
+ * Repos can be given as short names (`repositories`), numeric ids (`repositoryIds`) or both.
+ * `baseUrl` defaults to the host Probot is configured for (GHE_HOST / GHE_PROTOCOL) or api.github.com.
+ * Requests go through the shared throttler (tokenThrottle.js), so callers may fire them back to back.
+ * `privatePem` is one app key or a list tried in order on 401 (see the module comment), usually appKeys().
+ * Every token issued is recorded as an audit event (audit.js); `audit` adds the batch, caller and reason to it.
+ * @throws {TokenError} typed error (see errors.js) instead of resolving to undefined
  */
-async function getAccessToken({ clientId, privatePem, installationId, repositories, permissions }) {
-    console.log('getRepoAccessToken called with:', { clientId, installationId, repositories, permissions });
+async function getAccessToken({ clientId, privatePem, installationId, repositories, repositoryIds, permissions, baseUrl, audit = {} }) {
+    const requestedCount = (repositories?.length || 0) + (repositoryIds?.length || 0);
+    log.debug(`[installation-token] requesting token installation=${installationId} repos=${requestedCount || 'all'} permissions=${JSON.stringify(permissions || 'default')}`);
+    validateCoreParams({ clientId, privatePem, installationId });
+    const requestBody = buildAccessTokenRequestBody(repositories, permissions, repositoryIds) || {};
+    const action = audit.action || 'mint';
+    const started = Date.now();
+    let tokenResponse;
     try {
-        validateCoreParams({ clientId, privatePem, installationId });
-        const jwtToken = generateJWT(clientId, privatePem);
-        const requestBody = buildAccessTokenRequestBody(repositories, permissions) || {};
-        return await requestInstallationAccessToken({ jwtToken, installationId, data: requestBody });
+        // Sign once a slot is free so a long queue can't outlive the JWT
+        tokenResponse = await schedule(installationId, () => requestWithAppKeys({
+            clientId, privatePem, installationId, data: requestBody, baseUrl: resolveBaseUrl(baseUrl)
+        }));
     } catch (error) {
-        console.log(error);
+        if (error instanceof TokenError) recordTokenRequestFailure(error);
+        throw error;
+    }
+    observeTokenRequest(action, Date.now() - started);
+    recordTokenMinted({ installationId, batchIndex: audit.batchIndex, action });
+    auditEvent({
+        action,
+        installationId,
+        batchIndex: audit.batchIndex,
+        repoCount: tokenResponse.repositories?.length ?? (requestedCount || 'all'),
+        permissions: tokenResponse.permissions,
+        expiresAt: tokenResponse.expires_at,
+        caller: audit.caller,
+        reason: audit.reason,
+    });
+    return tokenResponse;
+}
+
+/**
+ * Revoke an installation access token (`DELETE /installation/token`) so it stops working before its 60 minutes are up.
+ * A token that already expired or was revoked (401) is not an error.
+ * @param {Object} params
+ * @param {string} params.token Installation access token to revoke
+ * @param {string} [params.baseUrl] GitHub API base URL (see resolveBaseUrl)
+ * @param {Object} [params.audit] { installationId, batchIndex, repoCount, permissions, expiresAt, caller, reason } for the audit log
+ * @returns {Promise<boolean>} true when GitHub revoked the token, false when it was no longer valid
+ * @throws {TokenError}
+ */
+async function revokeInstallationToken({ token, baseUrl, audit = {} }) {
+    if (!token) throw new TokenValidationError('Token is required');
+    try {
+        await axios.delete(`${resolveBaseUrl(baseUrl)}/installation/token`, {
+            headers: {
+                Authorization: `token ${token}`,
+                Accept: 'application/vnd.github+json',
+                'User-Agent': 'GitHub-App-Node-Client',
+                'X-GitHub-Api-Version': '2022-11-28'
+            }
+        });
+    } catch (error) {
+        if (error.response?.status === 401) {
+            log.debug(`[installation-token] token for installation ${audit.installationId} already expired or revoked`);
+            return false;
+        }
+        if (error.response) throw tokenErrorFromResponse(error.response, { installationId: audit.installationId });
+        throw new TokenError(`Revoking token for installation ${audit.installationId} failed: ${error.message}`, { installationId: audit.installationId });
     }
+    auditEvent({ ...audit, action: 'revoke' });
+    return true;
 }
 
 export {
-    getAccessToken
+    getAccessToken,
+    revokeInstallationToken,
+    resolveBaseUrl,
+    appKeys,
+    appKeysFromEnv,
+    setAppKeys,
+    privateKeyPem,
+    clearAppKeyCache
 };
\ No newline at end of file
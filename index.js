@@ -1,10 +1,63 @@
 
 
 // Import functions for caching and token batching logic
-import { populateRepoCache, repoCache } from './tokenBatcher.js';
+import { populateRepoCache, restoreRepoCache, repoCache, getOctokitForRepo, setBatchSize } from './tokenBatcher.js';
+// Import the configurable startup warm-up (none / prewarm / report)
+import { loadStartupConfig, runWarmup } from './warmup.js';
+// Import the pluggable store shared by the repo map and the token cache
+import { createStoreFromEnv, setStore, getStore } from './storage.js';
+// Import webhook handlers that keep the repo cache in sync with installation changes
+import { registerRepoCacheSync } from './repoCacheSync.js';
+// Import the authenticated token brokering routes
+import { registerAdminApi } from './adminApi.js';
+// Import the Prometheus scrape endpoint
+import { registerMetricsApi } from './metricsApi.js';
 import fs from 'fs';
-// Import function to get a GitHub App installation access token
-import { getAccessToken } from './getAppInstallationToken.js';
+// Import shutdown revocation of cached batch tokens
+import { revokeAllTokens } from './tokenCache.js';
+import { TokenError } from './errors.js';
+// Import the shared logger (routes module logging to app.log)
+import { setLogger } from './logger.js';
+
+// Permissions each handler needs; tokens are cached per (batch, permission set)
+const ISSUE_COMMENT_PERMISSIONS = { issues: 'write' };
+
+/**
+ * Log a token minting failure with the details carried by the typed errors from errors.js.
+ * @param {*} app - The Probot app instance.
+ * @param {Error} err
+ */
+function logTokenError(app, err) {
+  if (err instanceof TokenError) {
+    app.log.error(`${err.name} generating repo access token: status=${err.status ?? 'n/a'} requestId=${err.requestId ?? 'n/a'} installation=${err.installationId ?? 'n/a'} repos=${err.repositories?.length ?? 0}: ${err.message}`);
+  } else {
+    app.log.error(`Error generating repo access token: ${err.message}`);
+  }
+  app.log.debug(err.stack);
+}
+
+/**
+ * Revoke outstanding tokens on SIGTERM / SIGINT, then let the signal terminate the process as usual.
+ * REVOKE_ON_SHUTDOWN=auto (default) revokes cached tokens only when they are not shared with other replicas
+ * (memory store); `always` also revokes tokens in a file / Redis store, `never` disables revocation.
+ * @param {*} app - The Probot app instance.
+ */
+function registerShutdownRevocation(app) {
+  const mode = (process.env.REVOKE_ON_SHUTDOWN || 'auto').toLowerCase();
+  if (mode === 'never') return;
+  const onSignal = async (signal) => {
+    try {
+      const includeShared = mode === 'always';
+      const revoked = await revokeAllTokens({ includeShared });
+      app.log.info(`Revoked ${revoked} outstanding token(s) on ${signal} (store: ${getStore().kind})`);
+    } catch (err) {
+      app.log.error(`Failed to revoke tokens on ${signal}: ${err.message}`);
+    }
+    process.kill(process.pid, signal);
+  };
+  process.once('SIGTERM', onSignal);
+  process.once('SIGINT', onSignal);
+}
 
 /**
  * Probot app entry point for handling GitHub App authentication and token batching.
@@ -12,118 +65,94 @@ import { getAccessToken } from './getAppInstallationToken.js';
  *
  * Main responsibilities:
  *   - Pre-populate a cache of all repositories for current installations at startup
- *   - Generate access tokens for all repos, subsets, and individual repos
+ *   - Optionally pre-mint batch tokens or report the batch layout at startup (STARTUP_MODE / STARTUP_CONFIG_PATH)
+ *   - Keep that cache in sync from installation/repository webhooks (with a periodic full reconcile)
+ *   - Hand out batch tokens (cached, refreshed before expiry) to the webhook handlers via getOctokitForRepo
  *   - Handle GitHub webhook events (e.g., issues.opened)
+ *   - Broker batch tokens to internal services through the admin API (when ADMIN_API_SECRET is set)
+ *   - Expose token and cache health as Prometheus metrics (when METRICS_SECRET or METRICS_ENABLED=true is set)
  */
-export default (app) => {
-  // At startup, pre-populate the repo ID cache for all current installations
+export default (app, { getRouter } = {}) => {
+  // Send all module logging through Probot's logger instead of console
+  setLogger(app.log);
+
+  // At startup, pre-populate the repo ID cache for all current installations, then run the configured warm-up
   (async () => {
+    let config;
+    try {
+      // Warm-up settings from STARTUP_CONFIG_PATH / env (mode, batch size, permissions, installations)
+      config = loadStartupConfig();
+      if (config.batchSize !== undefined) setBatchSize(config.batchSize);
+    } catch (err) {
+      // The repo cache is still needed to serve webhooks; only the warm-up depends on this configuration
+      app.log.error(`Invalid startup configuration, skipping the warm-up and using the default batch size: ${err.message}`);
+      config = undefined;
+    }
+
     try {
-      // Populate the repo cache by querying all installations
-      app.log.info('Caching all repositories for current installations...');
-      repoCache = await populateRepoCache(app);
+      // Use the configured store (CACHE_STORE) so repos and tokens survive restarts and are shared by replicas
+      setStore(await createStoreFromEnv());
+      if (await restoreRepoCache(app)) {
+        app.log.info('Restored repo cache from the cache store; the periodic reconcile will refresh it.');
+      } else {
+        // Populate the repo cache by querying all installations
+        app.log.info('Caching all repositories for current installations...');
+        await populateRepoCache(app);
+      }
       app.log.debug(`repoCache: \n ${JSON.stringify(repoCache, null, 2)}`);
     } catch (err) {
       // Log if the cache population fails
       app.log.error('Failed to populate repo cache', err);
+      return;
     }
 
+    if (!config) return;
     try {
-      // Attempt to generate a token for all repos in the installation
-      app.log.info(`Get token for all repos in the installation [${Object.keys(repoCache).length}]...`);
-      // Read app credentials from environment variables
-      const clientId = process.env.APP_ID;
-      const privatePem = process.env.PRIVATE_KEY;
-      if (!clientId || !privatePem) {
-        app.log.error('Missing APP_ID or PRIVATE_KEY when attempting to get repo access token');
-        return;
-      }
-      if (!repoCache || Object.keys(repoCache).length === 0) {
-        app.log.error('repoCache is empty; cannot build repo list');
-        return;
-      }
-      // Use the first repo's installationId as a demonstration
-      const firstEntry = Object.values(repoCache)[0];
-      const installationId = firstEntry && firstEntry.installationId;
-      if (!installationId) {
-        app.log.error('Could not determine installationId from repoCache');
-        return;
-      }
-      // Build a list of all repo names for this installation
-      const allReposForInstallation = Object.keys(repoCache)
-        .filter(r => repoCache[r].installationId === installationId)
-        .map(r => r.split('/')[1]);
-      app.log.debug(`allReposForInstallation: \n ${JSON.stringify(allReposForInstallation, null, 2)}`);
-
-      const repositories = allReposForInstallation;
-      // Set the permissions for the token
-      const permissions = { contents: 'read', issues: 'write' };
-      app.log.debug(`All repos for installation ${installationId}, [num of repos:${repositories.length}] : ${repositories}`);
-      try {
-        // Generate a token for all repos in the installation
-        const tokenResp = await getAccessToken({ clientId, privatePem, installationId, repositories, permissions });
-        // tokenResp includes token + metadata (expires_at, permissions, repositories, etc.)
-        app.log.info(`Successfully generated batch token for installation ${installationId}. Repo count: ${repositories.length}. Expires at: ${tokenResp.expires_at}`);
-      } catch (innerErr) {
-        // Log details if token generation fails
-        if (innerErr.response) {
-          app.log.error(`GitHub API error generating repo access token: status=${innerErr.response.status} message=${innerErr.response.data?.message}`);
-          app.log.debug(`Response headers: ${JSON.stringify(innerErr.response.headers, null, 2)}`);
-          app.log.debug(`Response data: ${JSON.stringify(innerErr.response.data, null, 2)}`);
-        } else if (innerErr.request) {
-          app.log.error('Network error generating repo access token (no response received)');
-        } else {
-          app.log.error(`Error generating repo access token: ${innerErr.message}`);
-        }
-        app.log.debug(innerErr.stack);
-        // throw innerErr; // allow outer catch to record generic failure message too
-      }
-
-      try {
-        // Generate a token for a subset of repos (first 500)
-        const repo_subset = repositories.slice(0, 500);
-        const tokenResp = await getAccessToken({ clientId, privatePem, installationId, repositories: repo_subset, permissions });
-        app.log.info(`Successfully generated batch token for installation ${installationId}. Repo count: ${repo_subset.length}. Expires at: ${tokenResp.expires_at}`);
-      } catch (innerErr) {
-        app.log.error('Error generating batch token for subset of repos', innerErr);
-      }
-
-      try {
-        // Generate a token for each repo individually (demonstrates per-repo tokens)
-        const tokens = []
-        for (const repoFullName of Object.keys(repoCache)) {
-          app.log.info(`Generating individual token for repo ${repoFullName}...`);
-          const repoName = repoFullName.split('/')[1];
-          tokens.push(await getAccessToken({ clientId, privatePem, installationId, repositories: [repoName], permissions }));
-          app.log.info(`Token for repo ${repoFullName}: ${tokens[tokens.length - 1].token} -  Expires at: ${tokens[tokens.length - 1].expires_at}`); // Log the actual token
-        }
-        app.log.info(`Successfully generated ${tokens.length} individual repo tokens for installation ${installationId}.`);
-      } catch (innerErr) {
-        // Log details if any individual token generation fails
-        if (innerErr.response) {
-          app.log.error(`GitHub API error generating repo access token: status=${innerErr.response.status} message=${innerErr.response.data?.message}`);
-          app.log.debug(`Response headers: ${JSON.stringify(innerErr.response.headers, null, 2)}`);
-          app.log.debug(`Response data: ${JSON.stringify(innerErr.response.data, null, 2)}`);
-        } else if (innerErr.request) {
-          app.log.error('Network error generating repo access token (no response received)');
+      app.log.info(`Startup mode: ${config.mode}`);
+      for (const result of await runWarmup(config)) {
+        if (config.mode === 'report') {
+          app.log.info(`Batch layout report: ${JSON.stringify(result)}`);
+        } else if (result.error) {
+          logTokenError(app, result.error);
         } else {
-          app.log.error(`Error generating repo access token: ${innerErr.message}`);
+          app.log.info(`Pre-minted ${result.tokens} batch token(s) for installation ${result.installationId}`);
         }
-        app.log.debug(innerErr.stack);
-        // throw innerErr; // allow outer catch to record generic failure message too
       }
     } catch (err) {
-      // Log if token generation for repos fails
-      app.log.error('Failed to generate tokens for repos in installation', err);
+      if (err instanceof TokenError) logTokenError(app, err);
+      else app.log.error('Startup warm-up failed', err);
     }
   })();
 
+  // Revoke cached tokens instead of leaving them valid after the app stops
+  registerShutdownRevocation(app);
+
+  // Keep repoCache current as repos are added to / removed from installations
+  registerRepoCacheSync(app);
+
+  // Serve batch tokens and cache status to internal services
+  if (getRouter) {
+    registerAdminApi(app, getRouter(process.env.ADMIN_API_PATH || '/admin'));
+    registerMetricsApi(app, getRouter(process.env.METRICS_PATH || '/metrics'));
+  }
+
   // Handle the 'issues.opened' webhook event
   app.on("issues.opened", async (context) => {
     // Extract the repo full name from the event payload
     const repoFullName = context.payload.repository.full_name;
-    // Get an authenticated Octokit instance for this repo
-    const octokit = await getOctokitForRepo(app, repoFullName);
+    // Get an Octokit authenticated with the batch token that covers this repo
+    let octokit;
+    try {
+      octokit = await getOctokitForRepo(app, repoFullName, {
+        installationId: context.payload.installation?.id,
+        permissions: ISSUE_COMMENT_PERMISSIONS,
+        caller: 'issues.opened',
+      });
+    } catch (err) {
+      if (!(err instanceof TokenError)) throw err;
+      logTokenError(app, err);
+      return;
+    }
     // Extract owner, repo, and issue number from the event context
     const { owner, repo, issue_number } = context.issue();
     // Post a comment to the newly opened issue
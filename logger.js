@@ -0,0 +1,25 @@
+/**
+ * logger.js
+ * Shared logger for the token modules. Modules log through `log`, which forwards to Probot's `app.log` once
+ * index.js calls setLogger(app.log) (console until then). Log lines name installations, batches and repos but never
+ * include token values.
+ */
+
+let current = console;
+
+/**
+ * Route module logging to `logger` (e.g. Probot's app.log).
+ * @param {{ debug: Function, info: Function, warn: Function, error: Function }} logger
+ */
+export function setLogger(logger) {
+  current = logger;
+}
+
+// Stable facade so modules can import `log` once and still follow setLogger()
+export const log = {
+  debug: (...args) => current.debug(...args),
+  info: (...args) => current.info(...args),
+  warn: (...args) => current.warn(...args),
+  error: (...args) => current.error(...args),
+};
+
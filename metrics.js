@@ -0,0 +1,176 @@
+/**
+ * metrics.js
+ * In-process Prometheus metrics for token and cache health, rendered in the text exposition format by
+ * renderMetrics(). The token modules record events here (mints, cache hits and misses, token request retries and
+ * failures, repo cache population); gauges describing current state (repos and batches per installation, time until
+ * the next token expires) are set by metricsApi.js right before each scrape.
+ */
+
+const PREFIX = 'split_token_';
+// Seconds; token requests normally take well under a second but may wait out a rate limit
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// name => { type, help, buckets? }, in exposition order
+const definitions = new Map();
+// name => Map(labelKey => { labels, value } | { labels, counts, sum, count })
+const series = new Map();
+
+function define(name, type, help, buckets) {
+  definitions.set(PREFIX + name, { type, help, buckets });
+  series.set(PREFIX + name, new Map());
+}
+
+define('tokens_minted_total', 'counter', 'Installation tokens issued by GitHub, by installation, batch and action (mint or refresh)');
+define('token_cache_hits_total', 'counter', 'Token lookups served without a token request, by layer (local, shared, in-flight)');
+define('token_cache_misses_total', 'counter', 'Token lookups that needed a token request, by reason (cache-miss, expiring, batch-changed, forced)');
+define('token_request_duration_seconds', 'histogram', 'Time to obtain a token from GitHub, including throttling and retries, by action', DURATION_BUCKETS);
+define('token_request_retries_total', 'counter', 'Retried token requests, by the status that caused the retry (NO_RESPONSE for network errors)');
+define('token_request_failures_total', 'counter', 'Token requests that failed for good, by status and error class');
+define('installation_repos', 'gauge', 'Repos in the repo cache per installation');
+define('installation_batches', 'gauge', 'Batches in the layout of each installation');
+define('cached_tokens', 'gauge', 'Tokens held in the local token cache');
+define('next_token_expiry_seconds', 'gauge', 'Seconds until the soonest-expiring cached token expires');
+define('repo_cache_populate_duration_seconds', 'gauge', 'Duration of the last populateRepoCache run');
+define('repo_cache_populate_success', 'gauge', '1 when the last populateRepoCache run succeeded, 0 when it failed');
+define('repo_cache_populate_timestamp_seconds', 'gauge', 'Unix time the last populateRepoCache run finished');
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function seriesFor(name, labels) {
+  const byLabels = series.get(PREFIX + name);
+  if (!byLabels) throw new Error(`Unknown metric ${name}`);
+  const key = labelKey(labels);
+  if (!byLabels.has(key)) byLabels.set(key, { labels, value: 0, counts: [], sum: 0, count: 0 });
+  return byLabels.get(key);
+}
+
+function increment(name, labels = {}, by = 1) {
+  seriesFor(name, labels).value += by;
+}
+
+function observe(name, labels, value) {
+  const entry = seriesFor(name, labels);
+  const { buckets } = definitions.get(PREFIX + name);
+  buckets.forEach((bound, i) => {
+    if (value <= bound) entry.counts[i] = (entry.counts[i] || 0) + 1;
+  });
+  entry.sum += value;
+  entry.count += 1;
+}
+
+/**
+ * Replace every series of a gauge, so series of installations that are gone disappear from the output.
+ * @param {string} name - metric name without the `split_token_` prefix
+ * @param {{ labels?: object, value: number }[]} values
+ */
+export function setGauge(name, values) {
+  series.get(PREFIX + name).clear();
+  for (const { labels = {}, value } of values) seriesFor(name, labels).value = value;
+}
+
+// Single-repo tokens are keyed `repo:<owner/name>`; one label value keeps the series count bounded
+function batchLabel(batchIndex) {
+  if (batchIndex === undefined) return 'none';
+  return String(batchIndex).startsWith('repo:') ? 'single-repo' : String(batchIndex);
+}
+
+/**
+ * Count a token GitHub issued.
+ * @param {{ installationId: number|string, batchIndex?: number|string, action?: string }} params
+ */
+export function recordTokenMinted({ installationId, batchIndex, action = 'mint' }) {
+  increment('tokens_minted_total', { installation: String(installationId), batch: batchLabel(batchIndex), action });
+}
+
+/**
+ * Count a token lookup answered from a cache.
+ * @param {'local'|'shared'|'in-flight'} layer
+ */
+export function recordCacheHit(layer) {
+  increment('token_cache_hits_total', { layer });
+}
+
+/**
+ * Count a token lookup that had to request a token.
+ * @param {string} reason - the audit reason (cache-miss, expiring, batch-changed, forced)
+ */
+export function recordCacheMiss(reason) {
+  increment('token_cache_misses_total', { reason });
+}
+
+/**
+ * Record how long obtaining a token took.
+ * @param {string} action - mint or refresh
+ * @param {number} durationMs
+ */
+export function observeTokenRequest(action, durationMs) {
+  observe('token_request_duration_seconds', { action }, durationMs / 1000);
+}
+
+/**
+ * Count a retried token request.
+ * @param {number|string} [status] - HTTP status, undefined for network errors
+ */
+export function recordTokenRequestRetry(status) {
+  increment('token_request_retries_total', { status: String(status ?? 'NO_RESPONSE') });
+}
+
+/**
+ * Count a token request that failed after any retries.
+ * @param {Error} err - TokenError (or subclass) thrown by the request
+ */
+export function recordTokenRequestFailure(err) {
+  increment('token_request_failures_total', { status: String(err.status ?? 'NO_RESPONSE'), error: err.name });
+}
+
+/**
+ * Record the outcome of a populateRepoCache run.
+ * @param {{ durationMs: number, ok: boolean }} result
+ */
+export function recordRepoCachePopulate({ durationMs, ok }) {
+  setGauge('repo_cache_populate_duration_seconds', [{ value: durationMs / 1000 }]);
+  setGauge('repo_cache_populate_success', [{ value: ok ? 1 : 0 }]);
+  setGauge('repo_cache_populate_timestamp_seconds', [{ value: Math.floor(Date.now() / 1000) }]);
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Every metric in the Prometheus text exposition format (version 0.0.4).
+ * @returns {string}
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const [name, { type, help, buckets }] of definitions) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const entry of series.get(name).values()) {
+      if (type !== 'histogram') {
+        lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+        continue;
+      }
+      buckets.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[i] || 0}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Drop every recorded value (tests).
+ */
+export function resetMetrics() {
+  for (const byLabels of series.values()) byLabels.clear();
+}
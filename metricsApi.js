@@ -0,0 +1,68 @@
+/**
+ * metricsApi.js
+ * Prometheus scrape endpoint on the Probot router (METRICS_PATH, default /metrics). Serves the counters and
+ * histograms recorded in metrics.js plus gauges computed at scrape time from the repo cache, the batch layouts and
+ * the token cache. The route shares the public webhook server and labels installations with their account
+ * login, so it is opt-in: set METRICS_SECRET to serve it behind `Authorization: Bearer <secret>`, or
+ * METRICS_ENABLED=true to serve it without auth (only where the server is not reachable from outside).
+ * METRICS_ENABLED=false leaves it out even when a secret is set.
+ */
+import { knownInstallations, installationAccounts, batchesForInstallation } from './tokenBatcher.js';
+import { listCachedTokens } from './tokenCache.js';
+import { renderMetrics, setGauge } from './metrics.js';
+import { secretMatches } from './adminApi.js';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Refresh the gauges that describe current state rather than count events
+function collectGauges(now = Date.now()) {
+  const repos = [];
+  const batches = [];
+  for (const installationId of knownInstallations()) {
+    const labels = { installation: String(installationId), account: installationAccounts[installationId] || '' };
+    const layout = batchesForInstallation(installationId);
+    repos.push({ labels, value: layout.reduce((n, batch) => n + batch.length, 0) });
+    batches.push({ labels, value: layout.length });
+  }
+  setGauge('installation_repos', repos);
+  setGauge('installation_batches', batches);
+
+  const tokens = listCachedTokens();
+  setGauge('cached_tokens', [{ value: tokens.length }]);
+  const soonest = Math.min(...tokens.map(entry => entry.expiresAtMs));
+  setGauge('next_token_expiry_seconds', tokens.length ? [{ value: Math.round((soonest - now) / 1000) }] : []);
+}
+
+/**
+ * Register the metrics route on a Probot router.
+ * @param {*} app - The Probot app instance.
+ * @param {*} router - express router, e.g. getRouter('/metrics')
+ * @returns {boolean} false when the route is not registered (neither METRICS_SECRET nor METRICS_ENABLED=true is
+ *   set, or METRICS_ENABLED=false)
+ */
+export function registerMetricsApi(app, router) {
+  const secret = process.env.METRICS_SECRET;
+  const enabled = process.env.METRICS_ENABLED;
+  if (enabled === 'false' || (!secret && enabled !== 'true')) {
+    app.log.info('[metricsApi] METRICS_SECRET / METRICS_ENABLED=true not set; metrics endpoint disabled');
+    return false;
+  }
+
+  router.get('/', (req, res) => {
+    const header = req.headers.authorization || '';
+    if (secret && !(header.startsWith('Bearer ') && secretMatches(header.slice('Bearer '.length), secret))) {
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+    try {
+      collectGauges();
+      res.set('Content-Type', CONTENT_TYPE).send(renderMetrics());
+    } catch (err) {
+      app.log.error(`[metricsApi] ${err.message}`);
+      res.status(500).json({ error: 'internal_error' });
+    }
+  });
+
+  if (secret) app.log.info('[metricsApi] Metrics endpoint enabled');
+  else app.log.warn('[metricsApi] Metrics endpoint enabled without METRICS_SECRET; anyone who can reach the server can scrape it');
+  return true;
+}
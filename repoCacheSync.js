@@ -0,0 +1,162 @@
+/**
+ * repoCacheSync.js
+ * Keeps repoCache current from installation and repository webhooks, so repos added to or removed from
+ * the app are picked up without a restart. Each event edits the cache incrementally and invalidates only
+ * the batch tokens whose repo list changed. A periodic full populateRepoCache run remains as a safety net.
+ */
+import {
+  populateRepoCache,
+  persistRepoCache,
+  repoCache,
+  installationSelection,
+  installationPermissions,
+  installationAccounts,
+  updateRepoCache,
+  normalizeInstallationId,
+} from './tokenBatcher.js';
+
+// Full reconcile interval (default 1 hour). Set REPO_CACHE_RECONCILE_INTERVAL_MS=0 to disable.
+const DEFAULT_RECONCILE_INTERVAL_MS = 60 * 60 * 1000;
+
+function addRepos(installationId, repos) {
+  return updateRepoCache([installationId], cache => {
+    for (const repo of repos) {
+      cache[repo.full_name] = { id: repo.id, installationId };
+    }
+  });
+}
+
+function removeRepos(installationId, fullNames) {
+  return updateRepoCache([installationId], cache => {
+    for (const fullName of fullNames) delete cache[fullName];
+  });
+}
+
+function reposOfInstallation(installationId) {
+  const id = normalizeInstallationId(installationId);
+  return Object.keys(repoCache).filter(full => repoCache[full].installationId === id);
+}
+
+/**
+ * Whether a repo created in the installation's account is automatically part of the installation.
+ * @param {*} app - The GitHub App instance.
+ * @param {number} installationId
+ * @returns {Promise<boolean>}
+ */
+async function coversAllRepos(app, installationId) {
+  if (!installationSelection[installationId]) {
+    const appAuth = await app.auth();
+    const { data } = await appAuth.request('GET /app/installations/{installation_id}', { installation_id: installationId });
+    installationSelection[installationId] = data.repository_selection;
+  }
+  return installationSelection[installationId] === 'all';
+}
+
+function logChanges(app, event, changed) {
+  app.log.debug(`[repoCacheSync] ${event}: ${changed.length} batch(es) invalidated ${JSON.stringify(changed)}`);
+}
+
+/**
+ * Register the webhook handlers that keep repoCache in sync and start the periodic reconcile.
+ * @param {*} app - The GitHub App instance.
+ * @param {object} [options]
+ * @param {number} [options.reconcileIntervalMs] - full reconcile interval; 0 disables it
+ * @returns {{ stop: () => void }} handle to stop the periodic reconcile
+ */
+export function registerRepoCacheSync(app, { reconcileIntervalMs } = {}) {
+  app.on('installation.created', async (context) => {
+    const { installation } = context.payload;
+    installationSelection[installation.id] = installation.repository_selection;
+    installationPermissions[installation.id] = installation.permissions;
+    installationAccounts[installation.id] = installation.account?.login;
+    // The payload's repository list can be truncated for large installations, so page the API instead
+    const installationOctokit = await app.auth(installation.id);
+    const repos = await installationOctokit.paginate('GET /installation/repositories');
+    logChanges(app, 'installation.created', addRepos(installation.id, repos));
+  });
+
+  app.on('installation.deleted', async (context) => {
+    const { installation } = context.payload;
+    delete installationSelection[installation.id];
+    delete installationPermissions[installation.id];
+    delete installationAccounts[installation.id];
+    logChanges(app, 'installation.deleted', removeRepos(installation.id, reposOfInstallation(installation.id)));
+  });
+
+  app.on('installation.new_permissions_accepted', async (context) => {
+    const { installation } = context.payload;
+    installationPermissions[installation.id] = installation.permissions;
+    await persistRepoCache();
+    app.log.debug(`[repoCacheSync] installation ${installation.id} permissions now ${JSON.stringify(installation.permissions)}`);
+  });
+
+  app.on('installation_repositories.added', async (context) => {
+    const { installation, repositories_added: added, repository_selection: selection } = context.payload;
+    if (selection) installationSelection[installation.id] = selection;
+    logChanges(app, 'installation_repositories.added', addRepos(installation.id, added));
+  });
+
+  app.on('installation_repositories.removed', async (context) => {
+    const { installation, repositories_removed: removed, repository_selection: selection } = context.payload;
+    if (selection) installationSelection[installation.id] = selection;
+    logChanges(app, 'installation_repositories.removed', removeRepos(installation.id, removed.map(r => r.full_name)));
+  });
+
+  app.on('repository.created', async (context) => {
+    const { installation, repository } = context.payload;
+    if (!installation || !(await coversAllRepos(app, installation.id))) return;
+    logChanges(app, 'repository.created', addRepos(installation.id, [repository]));
+  });
+
+  app.on('repository.deleted', async (context) => {
+    const { repository } = context.payload;
+    const cached = repoCache[repository.full_name];
+    if (!cached) return;
+    logChanges(app, 'repository.deleted', removeRepos(cached.installationId, [repository.full_name]));
+  });
+
+  app.on('repository.renamed', async (context) => {
+    const { repository, changes } = context.payload;
+    const oldFullName = `${repository.owner.login}/${changes.repository.name.from}`;
+    const cached = repoCache[oldFullName];
+    if (!cached) return;
+    const changed = updateRepoCache([cached.installationId], cache => {
+      delete cache[oldFullName];
+      cache[repository.full_name] = { id: repository.id, installationId: cached.installationId };
+    });
+    logChanges(app, 'repository.renamed', changed);
+  });
+
+  app.on('repository.transferred', async (context) => {
+    const { installation, repository, changes } = context.payload;
+    const from = changes.owner.from.organization || changes.owner.from.user;
+    const oldFullName = `${from.login}/${repository.name}`;
+    const cached = repoCache[oldFullName];
+    if (cached) {
+      logChanges(app, 'repository.transferred', removeRepos(cached.installationId, [oldFullName]));
+    }
+    // The repo stays with an installation that covers all repos of its new owner. The event also reaches the old
+    // owner's installation, which must not pick the repo up.
+    const newOwner = repository.owner.login.toLowerCase();
+    if (installation && installationAccounts[installation.id]?.toLowerCase() === newOwner && (await coversAllRepos(app, installation.id))) {
+      logChanges(app, 'repository.transferred', addRepos(installation.id, [repository]));
+    }
+  });
+
+  const fromEnv = parseInt(process.env.REPO_CACHE_RECONCILE_INTERVAL_MS || '', 10);
+  const intervalMs = reconcileIntervalMs ?? (Number.isNaN(fromEnv) ? DEFAULT_RECONCILE_INTERVAL_MS : fromEnv);
+  let timer;
+  if (intervalMs > 0) {
+    timer = setInterval(async () => {
+      try {
+        app.log.info('[repoCacheSync] Reconciling repoCache with all installations...');
+        await populateRepoCache(app);
+      } catch (err) {
+        app.log.error('[repoCacheSync] Periodic repoCache reconcile failed', err);
+      }
+    }, intervalMs);
+    // Do not keep the process alive just for the reconcile
+    timer.unref();
+  }
+  return { stop: () => clearInterval(timer) };
+}
@@ -0,0 +1,164 @@
+/**
+ * repoFanOut.js
+ * Run one operation (labeling, file reads, settings audits, ...) across every repo of an installation, with each
+ * call getting an Octokit scoped to the batch token that covers its repo. Tokens come from the token cache, so a
+ * batch token nearing expiry is refreshed mid-run. Per-repo results and errors are collected, and progress can be
+ * written to a checkpoint file so a crashed run resumes where it stopped.
+ */
+import fs from 'fs';
+import path from 'path';
+import { Octokit as DefaultOctokit } from 'octokit';
+import { resolveBaseUrl } from './getAppInstallationToken.js';
+import {
+  repoCache,
+  normalizeInstallationId,
+  batchesForInstallation,
+  batchForRepo,
+  getCachedBatchToken,
+  appCredentials,
+} from './tokenBatcher.js';
+import { permissionsKey } from './tokenCache.js';
+import { log } from './logger.js';
+
+// Repos processed at once (FANOUT_CONCURRENCY)
+const DEFAULT_CONCURRENCY = 5;
+// Completed repos between two checkpoint writes
+const DEFAULT_CHECKPOINT_EVERY = 25;
+
+function defaultConcurrency() {
+  const fromEnv = parseInt(process.env.FANOUT_CONCURRENCY || '', 10);
+  return Number.isNaN(fromEnv) || fromEnv < 1 ? DEFAULT_CONCURRENCY : fromEnv;
+}
+
+function describeError(err) {
+  return { name: err.name, message: err.message, status: err.status, requestId: err.requestId };
+}
+
+function readCheckpoint(checkpointPath, installationId, permKey) {
+  if (!checkpointPath || !fs.existsSync(checkpointPath)) return undefined;
+  const saved = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+  if (Number(saved.installationId) !== installationId || saved.permissions !== permKey) {
+    log.warn(`[repoFanOut] Ignoring checkpoint ${checkpointPath}: it belongs to another installation or permission set`);
+    return undefined;
+  }
+  return saved;
+}
+
+function writeCheckpoint(checkpointPath, state) {
+  fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+  const tmp = `${checkpointPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }));
+  fs.renameSync(tmp, checkpointPath);
+}
+
+/**
+ * Call `fn` for every repo of an installation with an Octokit scoped to the repo's batch token.
+ *
+ * Repos are visited batch by batch (stable batch layout), at most `concurrency` at a time. The batch token is
+ * looked up in the token cache before each call, so it is refreshed when it nears expiry; a call failing with 401
+ * is retried once with a new token. With `checkpointPath`, results and errors are saved every `checkpointEvery`
+ * completions, with the list of repos that succeeded (whatever `fn` returned, including nothing); a later run
+ * with the same path skips those repos and retries the failed ones.
+ * `fn` may therefore run more than once for a repo after a crash and should be idempotent.
+ *
+ * @param {number|string} installationId
+ * @param {object} permissions - permissions `fn` needs, e.g. { issues: 'write' }
+ * @param {(octokit: Octokit, repo: { owner: string, name: string, fullName: string, id: number, batchIndex: number }) => Promise<*>} fn
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - default FANOUT_CONCURRENCY or 5
+ * @param {string} [options.checkpointPath] - JSON file to save progress to / resume from (results must be JSON-serialisable)
+ * @param {number} [options.checkpointEvery] - completions between checkpoint writes, default 25
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.caller] - recorded in the audit log, default 'forEachRepo'
+ * @param {typeof DefaultOctokit} [options.Octokit] - class the per-batch clients are built with, default octokit's
+ *   Octokit (with its retry and throttling plugins); pass e.g. `Octokit.defaults({ ... })` to change their options
+ * @returns {Promise<{ results: object, errors: object, resumed: number }>} results and errors keyed by `owner/repo`
+ *   (errors as { name, message, status, requestId }); `resumed` counts repos taken from the checkpoint
+ */
+export async function forEachRepo(installationId, permissions, fn, {
+  concurrency = defaultConcurrency(),
+  checkpointPath,
+  checkpointEvery = DEFAULT_CHECKPOINT_EVERY,
+  baseUrl,
+  caller = 'forEachRepo',
+  Octokit = DefaultOctokit,
+} = {}) {
+  installationId = normalizeInstallationId(installationId);
+  const { clientId, privatePem } = appCredentials();
+  const permKey = permissionsKey(permissions);
+  const saved = readCheckpoint(checkpointPath, installationId, permKey);
+  const results = { ...saved?.results };
+  const errors = {};
+  // Tracked apart from `results`: JSON drops the keys of repos whose `fn` returned undefined
+  const done = new Set(saved?.completed ?? Object.keys(results));
+  const resumed = done.size;
+
+  // Batch order, so one batch token serves consecutive calls
+  const queue = batchesForInstallation(installationId).flat().filter(full => !done.has(full));
+  if (resumed > 0) log.info(`[repoFanOut] Resuming from ${checkpointPath}: ${resumed} repo(s) done, ${queue.length} left`);
+
+  const clients = new Map(); // batchIndex => { token, octokit }
+  const octokitFor = async (batch, force = false) => {
+    const entry = await getCachedBatchToken({
+      clientId, privatePem, installationId, batchIndex: batch.batchIndex, repositories: batch.repositories,
+      permissions, baseUrl, force, caller,
+    });
+    const client = clients.get(batch.batchIndex);
+    if (client?.token === entry.token) return client;
+    const fresh = { token: entry.token, octokit: new Octokit({ auth: entry.token, baseUrl: resolveBaseUrl(baseUrl) }) };
+    clients.set(batch.batchIndex, fresh);
+    return fresh;
+  };
+
+  let sinceCheckpoint = 0;
+  const completed = () => {
+    if (!checkpointPath || ++sinceCheckpoint < checkpointEvery) return;
+    sinceCheckpoint = 0;
+    writeCheckpoint(checkpointPath, { installationId, permissions: permKey, completed: [...done], results, errors });
+  };
+
+  const runOne = async (fullName) => {
+    // Resolve the batch now rather than up front: webhooks may have moved the repo since the run started
+    const batch = batchForRepo(fullName);
+    if (!batch || batch.batchIndex < 0 || batch.installationId !== installationId) {
+      log.debug(`[repoFanOut] ${fullName} left installation ${installationId} during the run; skipped`);
+      return;
+    }
+    const [owner, name] = fullName.split('/');
+    const repo = { owner, name, fullName, id: repoCache[fullName].id, batchIndex: batch.batchIndex };
+    try {
+      let client = await octokitFor(batch);
+      try {
+        results[fullName] = await fn(client.octokit, repo);
+      } catch (err) {
+        if (err.status !== 401) throw err;
+        // The token was revoked or expired under us; only force a refresh if nobody has replaced it yet
+        const current = await octokitFor(batch);
+        client = current.token === client.token ? await octokitFor(batch, true) : current;
+        results[fullName] = await fn(client.octokit, repo);
+      }
+      done.add(fullName);
+    } catch (err) {
+      errors[fullName] = describeError(err);
+      log.warn(`[repoFanOut] ${fullName}: ${err.name}: ${err.message}`);
+    }
+    completed();
+  };
+
+  let next = 0;
+  const worker = async () => {
+    while (next < queue.length) {
+      // eslint-disable-next-line no-await-in-loop
+      await runOne(queue[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), queue.length) }, worker));
+
+  if (checkpointPath) {
+    // A clean run needs no resume; keep the checkpoint when there are errors so a rerun retries just those
+    if (Object.keys(errors).length === 0) fs.rmSync(checkpointPath, { force: true });
+    else writeCheckpoint(checkpointPath, { installationId, permissions: permKey, completed: [...done], results, errors });
+  }
+  log.info(`[repoFanOut] Installation ${installationId}: ${done.size} succeeded, ${Object.keys(errors).length} failed`);
+  return { results, errors, resumed };
+}
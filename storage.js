@@ -0,0 +1,323 @@
+/**
+ * storage.js
+ * Pluggable key/value storage for the repo map and the batch token cache, so a restart does not re-page every
+ * installation and several app replicas share one set of tokens. Three backends implement the same interface:
+ *   - memory (default): per-process Map
+ *   - file: one AES-256-GCM encrypted file, safe to share between processes on the same host
+ *   - redis: any Redis-protocol server (redis, valkey, KeyDB, ...)
+ *
+ * Store interface (all methods async):
+ *   get(key) -> value | undefined
+ *   set(key, value, { ttlMs }) -> void
+ *   delete(key) -> void
+ *   keys(prefix) -> string[]
+ *   acquireLock(key, ttlMs) -> owner id | null   (only one holder at a time, across replicas for shared backends)
+ *   releaseLock(key, owner) -> void              (no-op unless `owner` still holds the lock)
+ *   close() -> void
+ *
+ * Configure with CACHE_STORE=memory|file|redis, CACHE_FILE_PATH, CACHE_ENCRYPTION_KEY and REDIS_URL.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { log } from './logger.js';
+
+const DEFAULT_FILE_PATH = '.cache/split-token-cache.enc';
+const FILE_LOCK_STALE_MS = 10 * 1000;
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function expiresAt(ttlMs) {
+  return ttlMs ? Date.now() + ttlMs : undefined;
+}
+
+function isExpired(item, now = Date.now()) {
+  return item.expiresAt !== undefined && item.expiresAt <= now;
+}
+
+/**
+ * In-memory store (the default). Nothing survives a restart and nothing is shared between replicas.
+ * @returns {object} store
+ */
+export function createMemoryStore() {
+  const items = new Map(); // key => { value, expiresAt }
+
+  function live(key) {
+    const item = items.get(key);
+    if (item && isExpired(item)) {
+      items.delete(key);
+      return undefined;
+    }
+    return item;
+  }
+
+  return {
+    kind: 'memory',
+    async get(key) {
+      return live(key)?.value;
+    },
+    async set(key, value, { ttlMs } = {}) {
+      items.set(key, { value, expiresAt: expiresAt(ttlMs) });
+    },
+    async delete(key) {
+      items.delete(key);
+    },
+    async keys(prefix = '') {
+      return [...items.keys()].filter(key => key.startsWith(prefix) && live(key));
+    },
+    async acquireLock(key, ttlMs) {
+      if (live(key)) return null;
+      const owner = crypto.randomUUID();
+      items.set(key, { value: owner, expiresAt: expiresAt(ttlMs) });
+      return owner;
+    },
+    async releaseLock(key, owner) {
+      if (live(key)?.value === owner) items.delete(key);
+    },
+    async close() {},
+  };
+}
+
+// scrypt is deliberately slow, so derived keys are memoised per (secret, salt); each process encrypts with one salt
+const derivedKeys = new Map();
+const encryptionSalts = new Map();
+
+function deriveKey(secret, salt) {
+  const id = `${salt.toString('base64')}:${crypto.createHash('sha256').update(secret).digest('hex')}`;
+  if (!derivedKeys.has(id)) {
+    if (derivedKeys.size >= 100) derivedKeys.clear();
+    derivedKeys.set(id, crypto.scryptSync(secret, salt, 32));
+  }
+  return derivedKeys.get(id);
+}
+
+/**
+ * Encrypt a JSON-serialisable value with AES-256-GCM. The key is derived from `secret` with scrypt and a random salt.
+ * @param {*} value
+ * @param {string} secret
+ * @returns {string} JSON envelope { v, salt, iv, tag, data } (base64 fields)
+ */
+export function encryptValue(value, secret) {
+  if (!encryptionSalts.has(secret)) encryptionSalts.set(secret, crypto.randomBytes(16));
+  const salt = encryptionSalts.get(secret);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    v: 1,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  });
+}
+
+/**
+ * Decrypt an envelope produced by encryptValue.
+ * @param {string} envelope
+ * @param {string} secret
+ * @returns {*} the original value
+ * @throws {Error} when the secret is wrong or the data was tampered with
+ */
+export function decryptValue(envelope, secret) {
+  const { salt, iv, tag, data } = JSON.parse(envelope);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret, Buffer.from(salt, 'base64')), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+/**
+ * File store: the whole map lives in one encrypted file. Writes are atomic (temp file + rename) and guarded by a
+ * `<file>.lock` lock file, so several processes on one host can share it.
+ * @param {object} [options]
+ * @param {string} [options.filePath] - default CACHE_FILE_PATH or .cache/split-token-cache.enc
+ * @param {string} [options.secret] - encryption secret, default CACHE_ENCRYPTION_KEY (required)
+ * @returns {object} store
+ */
+export function createFileStore({ filePath = process.env.CACHE_FILE_PATH || DEFAULT_FILE_PATH, secret = process.env.CACHE_ENCRYPTION_KEY } = {}) {
+  if (!secret) throw new Error('CACHE_ENCRYPTION_KEY is required for the file cache store');
+  const lockPath = `${filePath}.lock`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  function read() {
+    if (!fs.existsSync(filePath)) return {};
+    const items = decryptValue(fs.readFileSync(filePath, 'utf8'), secret);
+    const now = Date.now();
+    for (const key of Object.keys(items)) {
+      if (isExpired(items[key], now)) delete items[key];
+    }
+    return items;
+  }
+
+  function write(items) {
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, encryptValue(items, secret), { mode: 0o600 });
+    fs.renameSync(tmp, filePath);
+  }
+
+  async function withFileLock(fn) {
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockPath, 'wx'));
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        // A crashed process may have left the lock behind
+        try {
+          if (Date.now() - fs.statSync(lockPath).mtimeMs > FILE_LOCK_STALE_MS) fs.unlinkSync(lockPath);
+        } catch { /* removed by its owner meanwhile */ }
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(20);
+      }
+    }
+    try {
+      return fn();
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  return {
+    kind: 'file',
+    async get(key) {
+      return read()[key]?.value;
+    },
+    async set(key, value, { ttlMs } = {}) {
+      await withFileLock(() => {
+        const items = read();
+        items[key] = { value, expiresAt: expiresAt(ttlMs) };
+        write(items);
+      });
+    },
+    async delete(key) {
+      await withFileLock(() => {
+        const items = read();
+        if (!(key in items)) return;
+        delete items[key];
+        write(items);
+      });
+    },
+    async keys(prefix = '') {
+      return Object.keys(read()).filter(key => key.startsWith(prefix));
+    },
+    async acquireLock(key, ttlMs) {
+      return await withFileLock(() => {
+        const items = read();
+        if (items[key]) return null;
+        const owner = crypto.randomUUID();
+        items[key] = { value: owner, expiresAt: expiresAt(ttlMs) };
+        write(items);
+        return owner;
+      });
+    },
+    async releaseLock(key, owner) {
+      await withFileLock(() => {
+        const items = read();
+        if (items[key]?.value !== owner) return;
+        delete items[key];
+        write(items);
+      });
+    },
+    async close() {},
+  };
+}
+
+// Delete the lock only if we still own it (it may have expired and been taken by another replica)
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+/**
+ * Redis-protocol store. Values are stored as JSON under `<prefix><key>`, encrypted when a secret is configured.
+ * Without one, live installation tokens sit in Redis as plaintext, so a warning is logged.
+ * @param {object} [options]
+ * @param {string} [options.url] - default REDIS_URL or redis://localhost:6379
+ * @param {object} [options.client] - an already connected node-redis v4 client (the store will not close it)
+ * @param {string} [options.prefix] - key prefix, default 'split-token-app:'
+ * @param {string} [options.secret] - encrypt values at rest, default CACHE_ENCRYPTION_KEY
+ * @returns {Promise<object>} store
+ */
+export async function createRedisStore({
+  url = process.env.REDIS_URL || 'redis://localhost:6379',
+  client,
+  prefix = 'split-token-app:',
+  secret = process.env.CACHE_ENCRYPTION_KEY,
+} = {}) {
+  const ownsClient = !client;
+  if (!client) {
+    const { createClient } = await import('redis');
+    client = createClient({ url });
+    await client.connect();
+  }
+  if (!secret) {
+    log.warn('[storage] CACHE_ENCRYPTION_KEY is not set; the redis cache store keeps installation tokens unencrypted');
+  }
+  const encode = value => (secret ? encryptValue(value, secret) : JSON.stringify(value));
+  const decode = raw => (raw == null ? undefined : secret ? decryptValue(raw, secret) : JSON.parse(raw));
+
+  return {
+    kind: 'redis',
+    async get(key) {
+      return decode(await client.get(prefix + key));
+    },
+    async set(key, value, { ttlMs } = {}) {
+      await client.set(prefix + key, encode(value), ttlMs ? { PX: Math.max(1, Math.round(ttlMs)) } : undefined);
+    },
+    async delete(key) {
+      await client.del(prefix + key);
+    },
+    async keys(keyPrefix = '') {
+      const out = [];
+      for await (const key of client.scanIterator({ MATCH: `${prefix}${keyPrefix}*`, COUNT: 500 })) {
+        out.push(key.slice(prefix.length));
+      }
+      return out;
+    },
+    async acquireLock(key, ttlMs) {
+      const owner = crypto.randomUUID();
+      const ok = await client.set(prefix + key, owner, { NX: true, PX: Math.max(1, Math.round(ttlMs)) });
+      return ok ? owner : null;
+    },
+    async releaseLock(key, owner) {
+      await client.eval(RELEASE_LOCK_SCRIPT, { keys: [prefix + key], arguments: [owner] });
+    },
+    async close() {
+      if (ownsClient) await client.quit();
+    },
+  };
+}
+
+/**
+ * Build the store selected by CACHE_STORE (memory | file | redis).
+ * @returns {Promise<object>} store
+ */
+export async function createStoreFromEnv() {
+  const kind = (process.env.CACHE_STORE || 'memory').toLowerCase();
+  switch (kind) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore();
+    case 'redis':
+      return await createRedisStore();
+    default:
+      throw new Error(`Unknown CACHE_STORE "${kind}" (expected memory, file or redis)`);
+  }
+}
+
+let currentStore = createMemoryStore();
+
+/**
+ * The store shared by the repo map and the token cache.
+ * @returns {object} store
+ */
+export function getStore() {
+  return currentStore;
+}
+
+/**
+ * Replace the shared store (call once at startup, before tokens are requested).
+ * @param {object} store
+ */
+export function setStore(store) {
+  currentStore = store;
+}
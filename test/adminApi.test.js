@@ -0,0 +1,90 @@
+/**
+ * Tests for the admin API (adminApi.js) served by a Probot server against the GitHub simulator: the shared secret is
+ * required, the audit log records the verified caller rather than the X-Admin-Caller header, and POST /token
+ * tokens cover only the requested repos unless a batch token is asked for.
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import nock from 'nock';
+import { Probot, Server } from 'probot';
+import { createGitHubSimulator, makeRepos } from './helpers/githubSimulator.js';
+import { useTestEnv, probotOptions, waitFor } from './helpers/testEnv.js';
+
+useTestEnv({ ADMIN_API_SECRET: 'admin-secret' });
+
+const { default: splitTokenApp } = await import('../index.js');
+const { repoCache } = await import('../tokenBatcher.js');
+const { setAuditSink } = await import('../audit.js');
+
+describe('admin API', () => {
+  let sim;
+  let httpServer;
+  let url;
+  const events = [];
+
+  before(async () => {
+    sim = createGitHubSimulator({
+      installations: [
+        { id: 9, account: 'acme', permissions: { metadata: 'read', contents: 'read' }, repos: makeRepos('acme', 4) },
+      ],
+    });
+    setAuditSink(event => events.push(event));
+    nock.enableNetConnect('127.0.0.1');
+    const server = new Server({ Probot: Probot.defaults(probotOptions()) });
+    await server.load(splitTokenApp);
+    await waitFor(() => Object.keys(repoCache).length === 4);
+    httpServer = http.createServer(server.expressApp);
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${httpServer.address().port}/admin`;
+  });
+
+  after(async () => {
+    setAuditSink(undefined);
+    await new Promise(resolve => httpServer.close(resolve));
+    sim.stop();
+  });
+
+  const requestToken = (headers, body = {}) => fetch(`${url}/token`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify({ repositories: ['acme/repo-0001'], permissions: { contents: 'read' }, ...body }),
+  });
+  const authorized = { authorization: 'Bearer admin-secret' };
+
+  it('requires the shared secret', async () => {
+    assert.equal((await fetch(`${url}/installations`)).status, 401);
+    assert.equal((await requestToken({ authorization: 'Bearer wrong', 'x-admin-caller': 'deploy-bot' })).status, 401);
+  });
+
+  it('audits the verified caller, not the name a client claims', async () => {
+    const res = await requestToken({ authorization: 'Bearer admin-secret', 'x-admin-caller': 'deploy-bot' });
+    assert.equal(res.status, 200);
+    const { tokens } = await res.json();
+    assert.equal(tokens.length, 1);
+
+    const minted = events.filter(event => event.action === 'mint');
+    assert.equal(minted.length, 1);
+    assert.equal(minted[0].caller, 'admin-api:shared-secret');
+  });
+
+  it('hands out tokens limited to the requested repos', async () => {
+    const res = await requestToken(authorized, { repositories: ['acme/repo-0002', 'acme/repo-0003'] });
+    const { tokens } = await res.json();
+
+    assert.equal(tokens.length, 1);
+    assert.deepEqual(tokens[0].repositories, ['acme/repo-0002', 'acme/repo-0003']);
+    assert.deepEqual([...sim.tokenInfo(tokens[0].token).repoIds].sort(), [1001, 1002]);
+  });
+
+  it('lists the whole batch a batch-scoped token covers', async () => {
+    const res = await requestToken(authorized, { scope: 'batch' });
+    const { tokens } = await res.json();
+
+    assert.equal(tokens.length, 1);
+    assert.deepEqual(tokens[0].requested, ['acme/repo-0001']);
+    assert.equal(tokens[0].repositories.length, 4);
+    assert.equal(sim.tokenInfo(tokens[0].token).repoIds.size, 4);
+    assert.equal((await requestToken(authorized, { scope: 'everything' })).status, 400);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for app JWT signing: JWT reuse, backdated `iat`, key rotation with fallback on 401, re-signing after a long
+ * rate limit wait, and the key sources (PEM, file path, base64, external signer), against the GitHub simulator
+ * checking signatures.
+ */
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { createGitHubSimulator, makeRepos } from './helpers/githubSimulator.js';
+import { useTestEnv, generateKeyPair, APP_ID } from './helpers/testEnv.js';
+
+useTestEnv();
+
+const {
+  getAccessToken,
+  appKeys,
+  appKeysFromEnv,
+  setAppKeys,
+  clearAppKeyCache,
+} = await import('../getAppInstallationToken.js');
+const { TokenAuthError } = await import('../errors.js');
+
+const current = generateKeyPair();
+const retired = generateKeyPair();
+const clientId = APP_ID;
+
+describe('app JWT signing', () => {
+  let sim;
+  let tmpDir;
+
+  before(() => {
+    sim = createGitHubSimulator({
+      installations: [{ id: 5, account: 'acme', repos: makeRepos('acme', 3) }],
+      appKeys: [current.publicKey],
+    });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'split-token-keys-'));
+  });
+
+  after(() => {
+    sim.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    clearAppKeyCache();
+    setAppKeys(undefined);
+  });
+
+  const requestsSince = before => sim.tokenRequests.slice(before);
+  const mint = privatePem => getAccessToken({ clientId, privatePem, installationId: 5, repositories: ['repo-0001'] });
+
+  it('reuses one JWT with a backdated iat across token requests', async () => {
+    const before = sim.tokenRequests.length;
+    await mint(current.privateKey);
+    await mint(current.privateKey);
+
+    const [first, second] = requestsSince(before);
+    assert.equal(first.jwt, second.jwt);
+    const { iat, exp, iss } = jwt.decode(first.jwt);
+    const now = Math.floor(Date.now() / 1000);
+    assert.equal(iss, clientId);
+    assert.ok(iat <= now - 59 && iat >= now - 62);
+    assert.ok(exp - iat <= 600);
+  });
+
+  it('falls back to the next key on 401 and tries the accepted key first afterwards', async () => {
+    const before = sim.tokenRequests.length;
+    const token = await mint([retired.privateKey, current.privateKey]);
+    assert.ok(sim.tokenInfo(token.token));
+    assert.deepEqual(requestsSince(before).map(r => r.status), [401, 201]);
+
+    const again = sim.tokenRequests.length;
+    await mint([retired.privateKey, current.privateKey]);
+    assert.deepEqual(requestsSince(again).map(r => r.status), [201]);
+  });
+
+  it('throws TokenAuthError when GitHub rejects every key', async () => {
+    await assert.rejects(mint([retired.privateKey]), TokenAuthError);
+  });
+
+  it('signs a fresh JWT for the retry after a rate limit that outlasts the JWT', async (t) => {
+    // Start the mocked clock 16 minutes back, so the rate limit pause is over in real time once the test ends
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() - 16 * 60 * 1000 });
+    const resetAt = Math.floor(Date.now() / 1000) + 15 * 60;
+    sim.failNextTokenRequests({ status: 403, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(resetAt) }, message: 'API rate limit exceeded' });
+    const before = sim.tokenRequests.length;
+
+    const pending = mint([current.privateKey, retired.privateKey]);
+    // The timers are mocked, so yield with setImmediate until the 403 is in
+    while (sim.tokenRequests.length === before || !sim.tokenRequests[before].status) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise(r => setImmediate(r));
+    }
+    t.mock.timers.tick(16 * 60 * 1000);
+    const token = await pending;
+
+    const [limited, retried] = requestsSince(before);
+    assert.deepEqual([limited.status, retried.status], [403, 201]);
+    assert.notEqual(retried.jwt, limited.jwt);
+    assert.ok(jwt.decode(retried.jwt).exp > resetAt);
+    assert.ok(sim.tokenInfo(token.token));
+  });
+
+  it('reads keys from PRIVATE_KEY_PATH, base64 PRIVATE_KEY and PRIVATE_KEY_FALLBACKS', async () => {
+    const keyPath = path.join(tmpDir, 'current.pem');
+    fs.writeFileSync(keyPath, current.privateKey);
+    const base64 = Buffer.from(retired.privateKey).toString('base64');
+
+    const keys = appKeysFromEnv({ PRIVATE_KEY: base64, PRIVATE_KEY_FALLBACKS: ` ${keyPath} ` });
+    assert.deepEqual(keys, [base64, keyPath]);
+    assert.ok(sim.tokenInfo((await mint(keys)).token));
+    assert.ok(sim.tokenInfo((await mint(appKeysFromEnv({ PRIVATE_KEY_PATH: keyPath }))).token));
+  });
+
+  it('checks a key path on disk only once and keeps using it after the file is gone', async (t) => {
+    const keyPath = path.join(tmpDir, 'once.pem');
+    fs.writeFileSync(keyPath, current.privateKey);
+    await mint([keyPath]);
+
+    const existsSync = t.mock.method(fs, 'existsSync');
+    const readFileSync = t.mock.method(fs, 'readFileSync');
+    fs.rmSync(keyPath);
+    assert.ok(sim.tokenInfo((await mint([keyPath])).token));
+    assert.equal(existsSync.mock.callCount(), 0);
+    assert.equal(readFileSync.mock.callCount(), 0);
+  });
+
+  it('signs with an external signer set through setAppKeys', async () => {
+    const payloads = [];
+    setAppKeys([{
+      sign: async (payload) => {
+        payloads.push(payload);
+        return jwt.sign(payload, current.privateKey, { algorithm: 'RS256' });
+      },
+    }]);
+    await mint(appKeys());
+    await mint(appKeys());
+
+    assert.equal(payloads.length, 1);
+    assert.equal(payloads[0].iss, clientId);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * End-to-end tests for the repo cache, the batcher and the issues.opened handler against the local GitHub
+ * simulator (test/helpers/githubSimulator.js). Run with `npm test`.
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { Probot } from 'probot';
+import { createGitHubSimulator, makeRepos } from './helpers/githubSimulator.js';
+import { useTestEnv, probotOptions, waitFor, privateKey, APP_ID } from './helpers/testEnv.js';
+
+useTestEnv();
+
+const { default: splitTokenApp } = await import('../index.js');
+const {
+  repoCache,
+  populateRepoCache,
+  batchesForInstallation,
+  getAllBatchTokens,
+  getBatchToken,
+  getOctokitForRepo,
+  batchIndexForRepo,
+  resolveInstallation,
+  resolveRepositories,
+  updateRepoCache,
+} = await import('../tokenBatcher.js');
+const { listCachedTokens, permissionsKey } = await import('../tokenCache.js');
+const { getAccessToken } = await import('../getAppInstallationToken.js');
+const {
+  TokenValidationError,
+  RepositoryAccessError,
+  TransientRetryExhaustedError,
+  PermissionNotGrantedError,
+} = await import('../errors.js');
+
+const issuesOpened = JSON.parse(fs.readFileSync(new URL('./fixtures/issues.opened.json', import.meta.url), 'utf8'));
+
+// Installation 2 matches the fixture: 1203 generated repos plus hiimbex/testing-things -> batches of 500, 500, 204
+const BIG = {
+  id: 2,
+  account: 'hiimbex',
+  permissions: { metadata: 'read', contents: 'read', issues: 'write' },
+  repos: [...makeRepos('hiimbex', 1203), { id: 99, name: 'testing-things', full_name: 'hiimbex/testing-things', owner: { login: 'hiimbex' } }],
+};
+const SMALL = { id: 3, account: 'other-org', repos: makeRepos('other-org', 40, { firstId: 5000 }) };
+
+const clientId = APP_ID;
+const privatePem = privateKey;
+
+describe('split-token-app against the GitHub simulator', () => {
+  let sim;
+  let probot;
+
+  before(() => {
+    sim = createGitHubSimulator({ installations: [BIG, SMALL] });
+    probot = new Probot(probotOptions());
+  });
+
+  after(() => sim.stop());
+
+  it('populates repoCache at startup by paging installations and repositories', async () => {
+    await probot.load(splitTokenApp);
+    await waitFor(() => Object.keys(repoCache).length === BIG.repos.length + SMALL.repos.length);
+
+    assert.deepEqual(repoCache['hiimbex/testing-things'], { id: 99, installationId: 2 });
+    assert.deepEqual(repoCache['other-org/repo-0040'], { id: 5039, installationId: 3 });
+    assert.deepEqual(batchesForInstallation(2).map(batch => batch.length), [500, 500, 204]);
+    assert.deepEqual(batchesForInstallation(3).map(batch => batch.length), [40]);
+  });
+
+  it('comments on a new issue with the batch token that covers the repo', async () => {
+    const before = sim.scopedTokenRequests().length;
+    await probot.receive({ id: 'delivery-1', name: 'issues', payload: issuesOpened });
+
+    assert.equal(sim.comments.length, 1);
+    const [comment] = sim.comments;
+    assert.equal(`${comment.owner}/${comment.repo}`, 'hiimbex/testing-things');
+    assert.equal(comment.issue_number, issuesOpened.issue.number);
+    assert.match(comment.body, /500-repo-token limit/);
+
+    const requests = sim.scopedTokenRequests().slice(before);
+    assert.equal(requests.length, 1);
+    assert.deepEqual(requests[0].permissions, { issues: 'write' });
+    const token = sim.tokenInfo(comment.token);
+    assert.equal(token.repoIds.size, batchesForInstallation(2).find(batch => batch.includes('hiimbex/testing-things')).length);
+    assert.ok(token.repoIds.has(99));
+  });
+
+  it('reuses the cached batch token for the next issue in the same batch', async () => {
+    const before = sim.scopedTokenRequests().length;
+    await probot.receive({ id: 'delivery-2', name: 'issues', payload: { ...issuesOpened, issue: { ...issuesOpened.issue, number: 2 } } });
+
+    assert.equal(sim.comments.length, 2);
+    assert.equal(sim.comments[1].token, sim.comments[0].token);
+    assert.equal(sim.scopedTokenRequests().length, before);
+  });
+
+  it('mints one token per batch, each within the 500-repo limit, and serves repeats from the cache', async () => {
+    const permissions = { contents: 'read' };
+    const before = sim.scopedTokenRequests().length;
+    const tokens = await getAllBatchTokens({ clientId, privatePem, installationId: 2, permissions });
+
+    assert.deepEqual(tokens.map(t => [t.batchIndex, t.size]), [[0, 500], [1, 500], [2, 204]]);
+    const requests = sim.scopedTokenRequests().slice(before);
+    assert.equal(requests.length, 3);
+    for (const request of requests) {
+      assert.ok(request.repository_ids.length <= 500);
+    }
+    const covered = new Set(tokens.flatMap(t => [...sim.tokenInfo(t.token).repoIds]));
+    assert.equal(covered.size, BIG.repos.length);
+
+    await getAllBatchTokens({ clientId, privatePem, installationId: 2, permissions });
+    assert.equal(sim.scopedTokenRequests().length, before + 3);
+  });
+
+  it('keeps every repo in its batch when a repo is added or removed, and invalidates only the affected batch', async () => {
+    const permissions = { contents: 'read' };
+    const tokens = await getAllBatchTokens({ clientId, privatePem, installationId: 2, permissions });
+    const cachedBatches = () => listCachedTokens()
+      .filter(entry => entry.installationId === 2 && entry.permissionsKey === permissionsKey(permissions))
+      .map(entry => entry.batchIndex)
+      .sort();
+    const indexes = () => Object.fromEntries(batchesForInstallation(2).flat().map(repo => [repo, batchIndexForRepo(2, repo)]));
+    const before = indexes();
+    const removed = 'hiimbex/repo-0100';
+    const removedFrom = before[removed];
+    assert.deepEqual(cachedBatches(), [0, 1, 2]);
+
+    // Sorts first, so chunking the sorted names would shift every repo by one; the layout puts it where there is room
+    const added = updateRepoCache([2], (cache) => { cache['hiimbex/aaa'] = { id: 1, installationId: 2 }; });
+    assert.deepEqual(added, [{ installationId: 2, batchIndex: 2 }]);
+    assert.equal(batchIndexForRepo(2, 'hiimbex/aaa'), 2);
+    assert.deepEqual(cachedBatches(), [0, 1]);
+
+    const dropped = updateRepoCache([2], (cache) => { delete cache[removed]; });
+    assert.deepEqual(dropped, [{ installationId: 2, batchIndex: removedFrom }]);
+    assert.deepEqual(cachedBatches(), [0, 1].filter(i => i !== removedFrom));
+
+    const after = indexes();
+    for (const [repo, index] of Object.entries(before)) {
+      if (repo !== removed) assert.equal(after[repo], index, repo);
+    }
+    assert.equal(sim.tokenInfo(tokens.find(t => t.batchIndex !== 2 && t.batchIndex !== removedFrom).token).revoked, false);
+
+    updateRepoCache([2], (cache) => {
+      delete cache['hiimbex/aaa'];
+      cache[removed] = { id: BIG.repos.find(r => r.full_name === removed).id, installationId: 2 };
+    });
+  });
+
+  it('caches tokens for an explicit repo list apart from the batch layout\'s', async () => {
+    const params = { clientId, privatePem, installationId: 3, permissions: { metadata: 'read' } };
+    const sortedRepos = ['other-org/repo-0001', 'other-org/repo-0002'];
+    const [layout] = await getAllBatchTokens(params);
+    const [adhoc] = await getAllBatchTokens({ ...params, sortedRepos });
+    assert.notEqual(adhoc.token, layout.token);
+
+    const before = sim.scopedTokenRequests().length;
+    assert.equal((await getAllBatchTokens(params))[0].token, layout.token);
+    assert.equal((await getAllBatchTokens({ ...params, sortedRepos }))[0].token, adhoc.token);
+    assert.equal(sim.scopedTokenRequests().length, before);
+    assert.equal(sim.tokenInfo(layout.token).revoked, false);
+    assert.equal(sim.tokenInfo(adhoc.token).revoked, false);
+  });
+
+  it('picks up repos added after startup on the next populateRepoCache', async () => {
+    SMALL.repos.push({ id: 5999, name: 'late-repo', full_name: 'other-org/late-repo', owner: { login: 'other-org' } });
+    await populateRepoCache(probot);
+
+    assert.deepEqual(repoCache['other-org/late-repo'], { id: 5999, installationId: 3 });
+    const octokit = await getOctokitForRepo(probot, 'other-org/late-repo');
+    await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', { owner: 'other-org', repo: 'late-repo', issue_number: 1, body: 'hi' });
+    assert.equal(sim.comments.at(-1).repo, 'late-repo');
+  });
+
+  it('keeps same-named repos of different accounts apart and accepts ids as strings or logins', async () => {
+    assert.equal(resolveInstallation('Other-Org'), 3);
+    assert.equal(resolveInstallation('3'), 3);
+    assert.equal(batchIndexForRepo('2', 'hiimbex/repo-0001'), 0);
+    assert.equal(batchIndexForRepo(2, 'other-org/repo-0001'), -1);
+
+    const octokit = await getOctokitForRepo(probot, 'other-org/repo-0001');
+    await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', { owner: 'other-org', repo: 'repo-0001', issue_number: 1, body: 'hi' });
+    const token = sim.tokenInfo(sim.comments.at(-1).token);
+    assert.equal(token.installationId, 3);
+    assert.ok(token.repoIds.has(5000));
+
+    const tokens = await getAllBatchTokens({ clientId, privatePem, installationId: '3', permissions: { metadata: 'read' } });
+    assert.deepEqual(tokens.map(t => t.size), [41]);
+    await assert.rejects(getBatchToken({ clientId, privatePem, installationId: 'two', repositories: ['repo-0001'] }), TokenValidationError);
+  });
+
+  it('only sends uncached owner/repo names owned by the installation account', () => {
+    assert.deepEqual(resolveRepositories(2, ['hiimbex/not-cached-yet']), { repositories: ['not-cached-yet'], repositoryIds: [] });
+    assert.throws(() => resolveRepositories(2, ['other/foo']), TokenValidationError);
+    assert.throws(() => resolveRepositories(3, ['hiimbex/not-cached-yet']), TokenValidationError);
+  });
+
+  it('rejects more than 500 repos before calling GitHub', async () => {
+    const before = sim.tokenRequests.length;
+    const names = BIG.repos.slice(0, 501).map(r => r.name);
+    await assert.rejects(getBatchToken({ clientId, privatePem, installationId: 2, repositories: names }), TokenValidationError);
+    assert.equal(sim.tokenRequests.length, before);
+  });
+
+  it('maps GitHub\'s 422 for an oversized or foreign repo list to RepositoryAccessError', async () => {
+    const names = BIG.repos.slice(0, 501).map(r => r.name);
+    await assert.rejects(getAccessToken({ clientId, privatePem, installationId: 2, repositories: names }), RepositoryAccessError);
+    await assert.rejects(getAccessToken({ clientId, privatePem, installationId: 3, repositories: ['repo-0001', 'not-there'] }), RepositoryAccessError);
+  });
+
+  it('rejects permissions the installation was not granted', async () => {
+    await assert.rejects(getAllBatchTokens({ clientId, privatePem, installationId: 3, permissions: { issues: 'write' } }), PermissionNotGrantedError);
+  });
+
+  it('retries 502 responses and gives up after the configured attempts', async () => {
+    sim.failNextTokenRequests({ status: 502, times: 2 });
+    const token = await getAccessToken({ clientId, privatePem, installationId: 3, repositories: ['repo-0001'] });
+    assert.ok(sim.tokenInfo(token.token));
+
+    sim.failNextTokenRequests({ status: 502, times: 10 });
+    await assert.rejects(getAccessToken({ clientId, privatePem, installationId: 3, repositories: ['repo-0001'] }), TransientRetryExhaustedError);
+    sim.failures.length = 0;
+  });
+
+  it('waits out a secondary rate limit and retries', async () => {
+    sim.failNextTokenRequests({ status: 403, headers: { 'retry-after': '0' }, message: 'You have exceeded a secondary rate limit' });
+    const before = sim.tokenRequests.length;
+    const token = await getAccessToken({ clientId, privatePem, installationId: 3, repositories: ['repo-0002'] });
+
+    assert.ok(sim.tokenInfo(token.token));
+    assert.deepEqual(sim.tokenRequests.slice(before).map(r => r.status), [403, 201]);
+  });
+});
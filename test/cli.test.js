@@ -0,0 +1,91 @@
+/**
+ * Tests for the installation-management CLI (bin/split-token.js) against the local GitHub simulator.
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGitHubSimulator, makeRepos } from './helpers/githubSimulator.js';
+import { useTestEnv } from './helpers/testEnv.js';
+
+useTestEnv({ TOKEN: 'ghp_simuser' });
+
+const { run, UsageError } = await import('../bin/split-token.js');
+
+// acme has 6 svc-* repos (topic "service" on the even ones) and 4 lib-* repos; the app is installed on 5 of them
+const ORG_REPOS = [
+  ...makeRepos('acme', 6, { prefix: 'svc', firstId: 100 }).map((r, i) => ({ ...r, topics: i % 2 === 0 ? ['service'] : [] })),
+  ...makeRepos('acme', 4, { prefix: 'lib', firstId: 200 }).map(r => ({ ...r, topics: ['library'] })),
+];
+const INSTALLED = ORG_REPOS.filter(r => ['svc-0001', 'svc-0002', 'lib-0001', 'lib-0002', 'lib-0003'].includes(r.name));
+
+async function cli(...args) {
+  let output = '';
+  const result = await run([...args, '--json'], { out: text => { output += text; } });
+  assert.deepEqual(JSON.parse(output), JSON.parse(JSON.stringify(result)));
+  return result;
+}
+
+describe('split-token CLI', () => {
+  let sim;
+
+  before(() => {
+    sim = createGitHubSimulator({
+      installations: [{ id: 10, account: 'acme', permissions: { metadata: 'read', contents: 'read' }, repos: [...INSTALLED] }],
+      orgs: { acme: ORG_REPOS },
+    });
+  });
+
+  after(() => sim.stop());
+
+  it('diffs the installation against the org', async () => {
+    const result = await cli('diff', '--installation', '10', '--org', 'acme');
+
+    assert.equal(result.inBoth, 5);
+    assert.deepEqual(result.onlyInOrg, ['acme/lib-0004', 'acme/svc-0003', 'acme/svc-0004', 'acme/svc-0005', 'acme/svc-0006']);
+    assert.deepEqual(result.onlyInInstallation, []);
+  });
+
+  it('lists the repos a pattern would add without changing anything on --dry-run', async () => {
+    const result = await cli('add', '--installation', '10', '--org', 'acme', '--pattern', 'svc-*', '--dry-run');
+
+    assert.deepEqual(result.repos, ['acme/svc-0003', 'acme/svc-0004', 'acme/svc-0005', 'acme/svc-0006']);
+    assert.equal(sim.installationChanges.length, 0);
+  });
+
+  it('adds the repos matching a pattern and topic', async () => {
+    const result = await cli('add', '--installation', '10', '--org', 'acme', '--pattern', 'svc-*', '--topic', 'service', '--concurrency', '2');
+
+    assert.deepEqual(result.repos.sort(), ['acme/svc-0003', 'acme/svc-0005']);
+    assert.deepEqual(result.failed, []);
+    assert.deepEqual(sim.installationChanges.map(c => [c.method, c.repositoryId]).sort(), [['PUT', 102], ['PUT', 104]]);
+  });
+
+  it('removes repos by name', async () => {
+    const result = await cli('remove', '--installation', '10', '--repos', 'lib-0002,acme/lib-0003');
+
+    assert.deepEqual(result.repos.sort(), ['acme/lib-0002', 'acme/lib-0003']);
+    assert.deepEqual(sim.installationChanges.filter(c => c.method === 'DELETE').map(c => c.repositoryId).sort(), [201, 202]);
+  });
+
+  it('mints a token scoped to one batch', async () => {
+    const result = await cli('token', '--installation', '10', '--batch', '0', '--permissions', '{"contents":"read"}');
+
+    const token = sim.tokenInfo(result.token);
+    assert.equal(result.repoCount, 5);
+    assert.equal(token.repoIds.size, 5);
+    assert.deepEqual(token.permissions, { contents: 'read' });
+  });
+
+  it('plans batches with a smaller batch size', async () => {
+    const result = await cli('plan', '--installation', 'acme', '--batch-size', '2');
+
+    assert.equal(result.installationId, 10);
+    assert.equal(result.batchSize, 2);
+    assert.deepEqual(result.batches.map(b => b.size), [2, 2, 1]);
+    assert.deepEqual(result.batches.flatMap(b => b.repos).sort(), ['acme/lib-0001', 'acme/svc-0001', 'acme/svc-0002', 'acme/svc-0003', 'acme/svc-0005']);
+  });
+
+  it('rejects add / remove without a selector and unknown installations', async () => {
+    await assert.rejects(cli('remove', '--installation', '10'), UsageError);
+    await assert.rejects(cli('plan', '--installation', '99'), UsageError);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * githubSimulator.js
+ * In-process fake of the GitHub App endpoints the app talks to, built on nock. It keeps installations, repos,
+ * issued tokens and posted comments in memory and behaves like GitHub where the batching depends on it:
+ *   GET    /app/installations                          paginated, app JWT required
+ *   GET    /app/installations/:id
+ *   POST   /app/installations/:id/access_tokens         enforces the 500-repo limit, unknown repos and permissions (422)
+ *   GET    /installation/repositories                  paginated, limited to the repos the token covers
+ *   DELETE /installation/token                         revokes the token
+ *   POST   /repos/:owner/:repo/issues/:number/comments  404 unless the token covers the repo
+ *   GET    /orgs/:org/repos                            paginated, user token required
+ *   PUT    /user/installations/:id/repositories/:repo_id  user token required (DELETE removes the repo)
+ * Token requests can be made to fail on purpose (502, rate limits, ...) with failNextTokenRequests(). With
+ * `appKeys` set, app JWTs must be RS256-signed by one of those public keys (401 otherwise), as during key rotation.
+ */
+import jwt from 'jsonwebtoken';
+import nock from 'nock';
+
+const DEFAULT_PER_PAGE = 30;
+const MAX_PER_PAGE = 100;
+const MAX_TOKEN_REPOS = 500;
+const ACCESS_LEVELS = { read: 1, write: 2, admin: 3 };
+
+/**
+ * Build `count` repo objects for an owner, named `<prefix>-0001`, `<prefix>-0002`, ...
+ * @param {string} owner
+ * @param {number} count
+ * @param {object} [options]
+ * @param {number} [options.firstId] - id of the first repo (ids are consecutive)
+ * @param {string} [options.prefix]
+ * @returns {{ id: number, name: string, full_name: string, owner: { login: string } }[]}
+ */
+export function makeRepos(owner, count, { firstId = 1000, prefix = 'repo' } = {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const name = `${prefix}-${String(i + 1).padStart(4, '0')}`;
+    return { id: firstId + i, name, full_name: `${owner}/${name}`, owner: { login: owner } };
+  });
+}
+
+function granted(grantedPermissions, requested) {
+  return Object.entries(requested).every(([name, level]) => (ACCESS_LEVELS[grantedPermissions[name]] || 0) >= (ACCESS_LEVELS[level] || 0));
+}
+
+/**
+ * Start the simulator. Call stop() when done (it removes every nock interceptor).
+ * @param {object} params
+ * @param {{ id: number, account: string, permissions?: object, repositorySelection?: string, repos: object[] }[]} params.installations
+ * @param {object} [params.orgs] - org login => all repos of the org (with `topics`), for the org / user endpoints
+ * @param {string} [params.userToken] - token accepted as a user on the org / user endpoints
+ * @param {string[]} [params.appKeys] - public keys (PEM) the app JWT may be signed with; any JWT is accepted when unset
+ * @param {string} [params.baseUrl] - default https://api.github.com (GHES style URLs with /api/v3 work too)
+ * @returns {object} simulator handle with its state (tokens, tokenRequests, comments) and controls
+ */
+export function createGitHubSimulator({ installations, orgs = {}, userToken = 'ghp_simuser', appKeys, baseUrl = 'https://api.github.com' }) {
+  const url = new URL(baseUrl);
+  const prefix = url.pathname.replace(/\/+$/, '');
+  const byId = new Map(installations.map(inst => [inst.id, {
+    permissions: { metadata: 'read' },
+    repositorySelection: 'selected',
+    ...inst,
+  }]));
+
+  const sim = {
+    tokens: new Map(), // token => { installationId, repoIds: Set | null, permissions, revoked }
+    tokenRequests: [], // { installationId, repositories, repository_ids, permissions, jwt, status }
+    comments: [], // { owner, repo, issue_number, body, token }
+    installationChanges: [], // { method: 'PUT' | 'DELETE', installationId, repositoryId }
+    failures: [], // { status, headers, message } applied to the next token requests
+    counter: 0,
+  };
+
+  nock.disableNetConnect();
+  const api = nock(url.origin).persist();
+
+  const authOf = req => req.headers.authorization || '';
+  const bearerOf = req => authOf(req).replace(/^bearer /i, '');
+  const verifies = (token, key) => {
+    try {
+      jwt.verify(token, key, { algorithms: ['RS256'] });
+      return true;
+    } catch {
+      return false;
+    }
+  };
+  const isAppJwt = req => /^bearer /i.test(authOf(req)) && (!appKeys || appKeys.some(key => verifies(bearerOf(req), key)));
+  const tokenOf = (req) => {
+    const token = authOf(req).replace(/^(token|bearer) /i, '');
+    const entry = sim.tokens.get(token);
+    return entry && !entry.revoked ? { token, ...entry } : undefined;
+  };
+  const isUser = req => authOf(req).replace(/^(token|bearer) /i, '') === userToken;
+  const unauthorized = [401, { message: 'Bad credentials' }];
+
+  // Paginate `items` like GitHub, with a Link header pointing at the following page
+  const page = (uri, items, wrap = list => list) => {
+    const query = new URL(uri, url.origin).searchParams;
+    const perPage = Math.min(MAX_PER_PAGE, Number(query.get('per_page')) || DEFAULT_PER_PAGE);
+    const current = Math.max(1, Number(query.get('page')) || 1);
+    const slice = items.slice((current - 1) * perPage, current * perPage);
+    const headers = {};
+    if (current * perPage < items.length) {
+      query.set('page', String(current + 1));
+      query.set('per_page', String(perPage));
+      headers.link = `<${url.origin}${new URL(uri, url.origin).pathname}?${query}>; rel="next"`;
+    }
+    return [200, wrap(slice), headers];
+  };
+
+  const installationJson = inst => ({
+    id: inst.id,
+    account: { login: inst.account },
+    repository_selection: inst.repositorySelection,
+    permissions: inst.permissions,
+  });
+
+  api.get(`${prefix}/app/installations`).query(true).reply(function (uri) {
+    if (!isAppJwt(this.req)) return unauthorized;
+    return page(uri, [...byId.values()].map(installationJson));
+  });
+
+  api.get(new RegExp(`^${prefix}/app/installations/\\d+$`)).reply(function (uri) {
+    if (!isAppJwt(this.req)) return unauthorized;
+    const inst = byId.get(Number(uri.split('/').pop()));
+    return inst ? [200, installationJson(inst)] : [404, { message: 'Not Found' }];
+  });
+
+  api.post(new RegExp(`^${prefix}/app/installations/\\d+/access_tokens$`)).reply(function (uri, body) {
+    const installationId = Number(uri.split('/').at(-2));
+    const { repositories, repository_ids: repositoryIds, permissions } = body || {};
+    const request = { installationId, repositories, repository_ids: repositoryIds, permissions, jwt: bearerOf(this.req) };
+    sim.tokenRequests.push(request);
+    const respond = (status, data, headers) => {
+      request.status = status;
+      return [status, data, headers];
+    };
+    if (!isAppJwt(this.req)) return respond(...unauthorized);
+
+    const failure = sim.failures.shift();
+    if (failure) return respond(failure.status, { message: failure.message || 'Simulated failure' }, failure.headers);
+
+    const inst = byId.get(installationId);
+    if (!inst) return respond(404, { message: 'Not Found' });
+    if ((repositories?.length || 0) + (repositoryIds?.length || 0) > MAX_TOKEN_REPOS) {
+      return respond(422, { message: `Too many repositories requested (maximum is ${MAX_TOKEN_REPOS})` });
+    }
+    let scoped = null;
+    if (repositories || repositoryIds) {
+      scoped = [
+        ...(repositories || []).map(name => inst.repos.find(r => r.name === name)),
+        ...(repositoryIds || []).map(id => inst.repos.find(r => r.id === id)),
+      ];
+      if (scoped.some(repo => !repo)) {
+        return respond(422, { message: 'There is at least one repository that does not exist or is not accessible to the parent installation.' });
+      }
+    }
+    const tokenPermissions = permissions || inst.permissions;
+    if (!granted(inst.permissions, tokenPermissions)) {
+      return respond(422, { message: 'The permissions requested are not granted to this installation.' });
+    }
+
+    const token = `ghs_sim${String(++sim.counter).padStart(8, '0')}`;
+    sim.tokens.set(token, { installationId, repoIds: scoped && new Set(scoped.map(r => r.id)), permissions: tokenPermissions, revoked: false });
+    return respond(201, {
+      token,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      permissions: tokenPermissions,
+      repository_selection: scoped ? 'selected' : inst.repositorySelection,
+      ...(scoped && { repositories: scoped }),
+    }, {
+      'x-ratelimit-remaining': '4999',
+      'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600),
+    });
+  });
+
+  api.get(`${prefix}/installation/repositories`).query(true).reply(function (uri) {
+    const auth = tokenOf(this.req);
+    if (!auth) return unauthorized;
+    const inst = byId.get(auth.installationId);
+    const repos = auth.repoIds ? inst.repos.filter(r => auth.repoIds.has(r.id)) : inst.repos;
+    return page(uri, repos, list => ({ total_count: repos.length, repository_selection: inst.repositorySelection, repositories: list }));
+  });
+
+  api.delete(`${prefix}/installation/token`).reply(function () {
+    const auth = tokenOf(this.req);
+    if (!auth) return unauthorized;
+    sim.tokens.get(auth.token).revoked = true;
+    return [204];
+  });
+
+  api.post(new RegExp(`^${prefix}/repos/[^/]+/[^/]+/issues/\\d+/comments$`)).reply(function (uri, body) {
+    const auth = tokenOf(this.req);
+    if (!auth) return unauthorized;
+    const [owner, repo, , issueNumber] = uri.slice(prefix.length).split('/').slice(2);
+    const target = byId.get(auth.installationId).repos.find(r => r.full_name === `${owner}/${repo}`);
+    if (!target || (auth.repoIds && !auth.repoIds.has(target.id))) return [404, { message: 'Not Found' }];
+    const comment = { id: sim.comments.length + 1, owner, repo, issue_number: Number(issueNumber), body: body.body, token: auth.token };
+    sim.comments.push(comment);
+    return [201, { id: comment.id, body: comment.body }];
+  });
+
+  api.get(new RegExp(`^${prefix}/orgs/[^/]+/repos`)).reply(function (uri) {
+    if (!isUser(this.req)) return unauthorized;
+    const org = uri.slice(prefix.length).split('/')[2];
+    return orgs[org] ? page(uri, orgs[org]) : [404, { message: 'Not Found' }];
+  });
+
+  const changeInstallation = method => function (uri) {
+    if (!isUser(this.req)) return unauthorized;
+    const [, , , installationId, , repositoryId] = uri.slice(prefix.length).split('/').map(Number);
+    const inst = byId.get(installationId);
+    const repo = Object.values(orgs).flat().find(r => r.id === repositoryId);
+    if (!inst || !repo) return [404, { message: 'Not Found' }];
+    sim.installationChanges.push({ method, installationId, repositoryId });
+    inst.repos = inst.repos.filter(r => r.id !== repositoryId);
+    if (method === 'PUT') inst.repos.push(repo);
+    return [204];
+  };
+  api.put(new RegExp(`^${prefix}/user/installations/\\d+/repositories/\\d+$`)).reply(changeInstallation('PUT'));
+  api.delete(new RegExp(`^${prefix}/user/installations/\\d+/repositories/\\d+$`)).reply(changeInstallation('DELETE'));
+
+  return Object.assign(sim, {
+    /**
+     * Make the next `times` token requests fail, e.g. { status: 502 } or a secondary rate limit
+     * { status: 403, headers: { 'retry-after': '0' }, message: 'You have exceeded a secondary rate limit' }.
+     * @param {{ status: number, headers?: object, message?: string, times?: number }} failure
+     */
+    failNextTokenRequests({ times = 1, ...failure }) {
+      for (let i = 0; i < times; i++) sim.failures.push(failure);
+    },
+    /** Token requests scoped to repositories (Probot's own installation tokens are unscoped). */
+    scopedTokenRequests() {
+      return sim.tokenRequests.filter(r => r.repositories || r.repository_ids);
+    },
+    /** Details of an issued token: { installationId, repoIds, permissions, revoked }. */
+    tokenInfo(token) {
+      return sim.tokens.get(token);
+    },
+    stop() {
+      nock.cleanAll();
+      nock.enableNetConnect();
+    },
+  });
+}
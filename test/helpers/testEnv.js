@@ -0,0 +1,69 @@
+/**
+ * testEnv.js
+ * Setup shared by the test files: a throwaway app key, the env the app modules read at import time, the Probot
+ * options used against the GitHub simulator and a polling helper. Call useTestEnv() before importing app modules.
+ */
+import crypto from 'crypto';
+import { ProbotOctokit } from 'probot';
+
+export const APP_ID = '123';
+
+/**
+ * Generate an RSA key pair in the PEM encodings GitHub uses for app keys.
+ * @returns {{ privateKey: string, publicKey: string }}
+ */
+export function generateKeyPair() {
+  return crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+  });
+}
+
+// One key for the whole test file; the simulator accepts any JWT unless it is given public keys
+export const { privateKey, publicKey } = generateKeyPair();
+
+/**
+ * Point the app at the test key and turn off what a test doesn't want running in the background: audit output,
+ * the startup warm-up, shutdown revocation, the periodic reconcile and long retry waits.
+ * @param {object} [overrides] - extra or replacement env variables
+ */
+export function useTestEnv(overrides = {}) {
+  Object.assign(process.env, {
+    APP_ID,
+    PRIVATE_KEY: privateKey,
+    AUDIT_SINK: 'none',
+    STARTUP_MODE: 'none',
+    REVOKE_ON_SHUTDOWN: 'never',
+    REPO_CACHE_RECONCILE_INTERVAL_MS: '0',
+    TOKEN_REQUEST_RETRY_BASE_MS: '1',
+    ...overrides,
+  });
+}
+
+/**
+ * Options for a Probot instance talking to the simulator (quiet, no octokit retries or throttling).
+ * @returns {object}
+ */
+export function probotOptions() {
+  return {
+    appId: Number(APP_ID),
+    privateKey,
+    logLevel: 'fatal',
+    Octokit: ProbotOctokit.defaults({ retry: { enabled: false }, throttle: { enabled: false } }),
+  };
+}
+
+/**
+ * Poll until `condition()` is truthy.
+ * @param {() => boolean} condition
+ * @param {number} [timeoutMs]
+ */
+export async function waitFor(condition, timeoutMs = 10000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise(r => setTimeout(r, 20));
+  }
+}
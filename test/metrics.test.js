@@ -0,0 +1,123 @@
+/**
+ * Tests for the Prometheus metrics endpoint (metricsApi.js) served by a Probot server against the GitHub simulator,
+ * and for it staying off unless METRICS_SECRET or METRICS_ENABLED=true is set.
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import nock from 'nock';
+import { Probot, Server } from 'probot';
+import { createGitHubSimulator, makeRepos } from './helpers/githubSimulator.js';
+import { useTestEnv, probotOptions, waitFor, privateKey, APP_ID } from './helpers/testEnv.js';
+
+useTestEnv({ METRICS_SECRET: 'scrape-secret' });
+
+const { default: splitTokenApp } = await import('../index.js');
+const { repoCache, getAllBatchTokens } = await import('../tokenBatcher.js');
+const { getAccessToken } = await import('../getAppInstallationToken.js');
+const { registerMetricsApi } = await import('../metricsApi.js');
+
+// Value of one sample line, e.g. sample(text, 'split_token_cached_tokens')
+function sample(text, series) {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe('metrics endpoint', () => {
+  let sim;
+  let httpServer;
+  let url;
+
+  before(async () => {
+    sim = createGitHubSimulator({
+      installations: [
+        { id: 7, account: 'acme', permissions: { metadata: 'read', contents: 'read' }, repos: makeRepos('acme', 12) },
+      ],
+    });
+    nock.enableNetConnect('127.0.0.1');
+    const server = new Server({ Probot: Probot.defaults(probotOptions()) });
+    await server.load(splitTokenApp);
+    await waitFor(() => Object.keys(repoCache).length === 12);
+    httpServer = http.createServer(server.expressApp);
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${httpServer.address().port}/metrics`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => httpServer.close(resolve));
+    sim.stop();
+  });
+
+  const scrape = async () => {
+    const res = await fetch(url, { headers: { authorization: 'Bearer scrape-secret' } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    return res.text();
+  };
+
+  it('requires the scrape secret', async () => {
+    assert.equal((await fetch(url)).status, 401);
+    assert.equal((await fetch(url, { headers: { authorization: 'Bearer wrong' } })).status, 401);
+  });
+
+  it('is only registered with METRICS_SECRET or METRICS_ENABLED=true', (t) => {
+    const quiet = { log: { info() {}, warn() {} } };
+    const router = { get: t.mock.fn() };
+    const register = (env) => {
+      const saved = { METRICS_SECRET: process.env.METRICS_SECRET, METRICS_ENABLED: process.env.METRICS_ENABLED };
+      delete process.env.METRICS_SECRET;
+      delete process.env.METRICS_ENABLED;
+      Object.assign(process.env, env);
+      try {
+        return registerMetricsApi(quiet, router);
+      } finally {
+        for (const [name, value] of Object.entries(saved)) {
+          if (value === undefined) delete process.env[name];
+          else process.env[name] = value;
+        }
+      }
+    };
+
+    assert.equal(register({}), false);
+    assert.equal(register({ METRICS_SECRET: 's', METRICS_ENABLED: 'false' }), false);
+    assert.equal(router.get.mock.callCount(), 0);
+    assert.equal(register({ METRICS_ENABLED: 'true' }), true);
+    assert.equal(register({ METRICS_SECRET: 's' }), true);
+    assert.equal(router.get.mock.callCount(), 2);
+  });
+
+  it('reports the repo cache and batch layout', async () => {
+    const text = await scrape();
+
+    assert.equal(sample(text, 'split_token_installation_repos{installation="7",account="acme"}'), 12);
+    assert.equal(sample(text, 'split_token_installation_batches{installation="7",account="acme"}'), 1);
+    assert.equal(sample(text, 'split_token_repo_cache_populate_success'), 1);
+    assert.ok(sample(text, 'split_token_repo_cache_populate_duration_seconds') >= 0);
+  });
+
+  it('counts mints, cache hits and misses, and token expiry', async () => {
+    const params = { clientId: APP_ID, privatePem: privateKey, installationId: 7, permissions: { contents: 'read' } };
+    await getAllBatchTokens(params);
+    await getAllBatchTokens(params);
+    const text = await scrape();
+
+    assert.equal(sample(text, 'split_token_tokens_minted_total{installation="7",batch="0",action="mint"}'), 1);
+    assert.equal(sample(text, 'split_token_token_cache_misses_total{reason="cache-miss"}'), 1);
+    assert.equal(sample(text, 'split_token_token_cache_hits_total{layer="local"}'), 1);
+    assert.equal(sample(text, 'split_token_token_request_duration_seconds_count{action="mint"}'), 1);
+    assert.equal(sample(text, 'split_token_token_request_duration_seconds_bucket{action="mint",le="+Inf"}'), 1);
+    assert.equal(sample(text, 'split_token_cached_tokens'), 1);
+    const expiry = sample(text, 'split_token_next_token_expiry_seconds');
+    assert.ok(expiry > 3500 && expiry <= 3600);
+  });
+
+  it('groups token request retries and failures by status', async () => {
+    sim.failNextTokenRequests({ status: 502, times: 2 });
+    await getAccessToken({ clientId: APP_ID, privatePem: privateKey, installationId: 7, repositories: ['repo-0001'] });
+    await assert.rejects(getAccessToken({ clientId: APP_ID, privatePem: privateKey, installationId: 7, repositories: ['not-there'] }));
+    const text = await scrape();
+
+    assert.equal(sample(text, 'split_token_token_request_retries_total{status="502"}'), 2);
+    assert.equal(sample(text, 'split_token_token_request_failures_total{status="422",error="RepositoryAccessError"}'), 1);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for the webhook handlers that keep repoCache in sync (repoCacheSync.js): each event must edit the cache
+ * and invalidate (and revoke) the batch tokens of exactly the batches it changed, against the GitHub simulator.
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Probot } from 'probot';
+import { createGitHubSimulator, makeRepos } from './helpers/githubSimulator.js';
+import { useTestEnv, probotOptions, waitFor, privateKey, APP_ID } from './helpers/testEnv.js';
+
+useTestEnv({ REVOKE_GRACE_MS: '0' });
+
+const {
+  repoCache,
+  populateRepoCache,
+  setBatchSize,
+  getAllBatchTokens,
+  batchIndexForRepo,
+} = await import('../tokenBatcher.js');
+const { registerRepoCacheSync } = await import('../repoCacheSync.js');
+const { listCachedTokens } = await import('../tokenCache.js');
+
+// Batches of 5: acme holds [0001-0005], [0006-0010], [0011-0012]; other holds [0001-0005], [0006]
+const ACME = { id: 7, account: 'acme', repositorySelection: 'all', repos: makeRepos('acme', 12) };
+const OTHER = { id: 8, account: 'other', repositorySelection: 'all', repos: makeRepos('other', 6, { firstId: 5000 }) };
+const PERMISSIONS = { metadata: 'read' };
+
+const repoJson = (owner, name, id) => ({ id, name, full_name: `${owner}/${name}`, owner: { login: owner } });
+
+describe('repoCache sync webhooks', () => {
+  let sim;
+  let probot;
+  let delivery = 0;
+
+  before(async () => {
+    sim = createGitHubSimulator({ installations: [ACME, OTHER] });
+    setBatchSize(5);
+    probot = new Probot(probotOptions());
+    await probot.load(app => registerRepoCacheSync(app, { reconcileIntervalMs: 0 }));
+    await populateRepoCache(probot);
+  });
+
+  after(() => sim.stop());
+
+  const receive = (name, payload) => probot.receive({ id: `delivery-${++delivery}`, name, payload });
+
+  /**
+   * Mint a token for every batch of both installations, run `send`, and report which batches lost their token
+   * (and had it revoked) as { installationId: [batchIndex, ...] }.
+   */
+  async function invalidatedBy(send) {
+    const minted = [];
+    for (const installationId of [ACME.id, OTHER.id]) {
+      // eslint-disable-next-line no-await-in-loop
+      for (const entry of await getAllBatchTokens({ clientId: APP_ID, privatePem: privateKey, installationId, permissions: PERMISSIONS })) {
+        minted.push({ installationId, batchIndex: entry.batchIndex, token: entry.token });
+      }
+    }
+    await send();
+
+    const cached = new Set(listCachedTokens().map(entry => entry.token));
+    const invalidated = {};
+    for (const { installationId, batchIndex, token } of minted) {
+      if (cached.has(token)) {
+        assert.equal(sim.tokenInfo(token).revoked, false);
+        continue;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await waitFor(() => sim.tokenInfo(token).revoked);
+      (invalidated[installationId] ||= []).push(batchIndex);
+    }
+    return invalidated;
+  }
+
+  it('adds repos from installation_repositories.added to the batch with room', async () => {
+    const added = repoJson('acme', 'aaa-new', 9001);
+
+    const invalidated = await invalidatedBy(() => {
+      ACME.repos.push(added);
+      return receive('installation_repositories', {
+        action: 'added', installation: { id: ACME.id }, repository_selection: 'all', repositories_added: [added], repositories_removed: [],
+      });
+    });
+
+    assert.deepEqual(invalidated, { 7: [2] });
+    assert.deepEqual(repoCache['acme/aaa-new'], { id: 9001, installationId: 7 });
+    assert.equal(batchIndexForRepo(7, 'acme/repo-0001'), 0);
+  });
+
+  it('drops repos from installation_repositories.removed', async () => {
+    const removed = ACME.repos.find(r => r.full_name === 'acme/repo-0002');
+
+    const invalidated = await invalidatedBy(() => {
+      ACME.repos.splice(ACME.repos.indexOf(removed), 1);
+      return receive('installation_repositories', {
+        action: 'removed', installation: { id: ACME.id }, repository_selection: 'all', repositories_added: [], repositories_removed: [removed],
+      });
+    });
+
+    assert.deepEqual(invalidated, { 7: [0] });
+    assert.equal(repoCache['acme/repo-0002'], undefined);
+  });
+
+  it('re-keys a renamed repo on repository.renamed', async () => {
+    const repo = ACME.repos.find(r => r.full_name === 'acme/repo-0007');
+
+    const invalidated = await invalidatedBy(() => {
+      Object.assign(repo, { name: 'renamed-0007', full_name: 'acme/renamed-0007' });
+      return receive('repository', {
+        action: 'renamed', installation: { id: ACME.id }, repository: repo, changes: { repository: { name: { from: 'repo-0007' } } },
+      });
+    });
+
+    // The new name leaves batch 1 and takes the slot repo-0002 freed in batch 0
+    assert.deepEqual(invalidated, { 7: [0, 1] });
+    assert.equal(repoCache['acme/repo-0007'], undefined);
+    assert.deepEqual(repoCache['acme/renamed-0007'], { id: repo.id, installationId: 7 });
+    assert.equal(batchIndexForRepo(7, 'acme/renamed-0007'), 0);
+  });
+
+  it('moves a repo transferred to an account whose installation covers all repos', async () => {
+    const repo = ACME.repos.find(r => r.full_name === 'acme/repo-0011');
+    const moved = repoJson('other', 'repo-0011', repo.id);
+
+    const invalidated = await invalidatedBy(() => {
+      ACME.repos.splice(ACME.repos.indexOf(repo), 1);
+      OTHER.repos.push(moved);
+      return receive('repository', {
+        action: 'transferred', installation: { id: OTHER.id }, repository: moved, changes: { owner: { from: { organization: { login: 'acme' } } } },
+      });
+    });
+
+    assert.deepEqual(invalidated, { 7: [2], 8: [1] });
+    assert.equal(repoCache['acme/repo-0011'], undefined);
+    assert.deepEqual(repoCache['other/repo-0011'], { id: repo.id, installationId: 8 });
+  });
+
+  it('does not attach a repo to the old owner\'s installation when the transfer event reaches it', async () => {
+    const repo = ACME.repos.find(r => r.full_name === 'acme/repo-0012');
+    const moved = repoJson('elsewhere', 'repo-0012', repo.id);
+
+    const invalidated = await invalidatedBy(() => {
+      ACME.repos.splice(ACME.repos.indexOf(repo), 1);
+      return receive('repository', {
+        action: 'transferred', installation: { id: ACME.id }, repository: moved, changes: { owner: { from: { user: { login: 'acme' } } } },
+      });
+    });
+
+    assert.deepEqual(invalidated, { 7: [2] });
+    assert.equal(repoCache['acme/repo-0012'], undefined);
+    assert.equal(repoCache['elsewhere/repo-0012'], undefined);
+  });
+
+  it('drops a repo on repository.deleted', async () => {
+    const repo = OTHER.repos.find(r => r.full_name === 'other/repo-0003');
+
+    const invalidated = await invalidatedBy(() => {
+      OTHER.repos.splice(OTHER.repos.indexOf(repo), 1);
+      return receive('repository', {
+        action: 'deleted', installation: { id: OTHER.id }, repository: repo,
+      });
+    });
+
+    assert.deepEqual(invalidated, { 8: [0] });
+    assert.equal(repoCache['other/repo-0003'], undefined);
+  });
+
+  it('drops every repo and batch token of an installation on installation.deleted', async () => {
+    const invalidated = await invalidatedBy(() => receive('installation', {
+      action: 'deleted', installation: { id: OTHER.id, account: { login: 'other' } },
+    }));
+
+    assert.deepEqual(invalidated, { 8: [0, 1] });
+    assert.deepEqual(Object.values(repoCache).filter(cached => cached.installationId === OTHER.id), []);
+    assert.ok(Object.values(repoCache).some(cached => cached.installationId === ACME.id));
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for forEachRepo (repoFanOut.js): batch tokens refreshed mid-run, the retry after a 401, repos moved to
+ * another installation mid-run and resuming from a checkpoint after a crash, against the GitHub simulator.
+ */
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Probot } from 'probot';
+import { Octokit } from 'octokit';
+import { createGitHubSimulator, makeRepos } from './helpers/githubSimulator.js';
+import { useTestEnv, probotOptions, waitFor } from './helpers/testEnv.js';
+
+useTestEnv();
+
+const { populateRepoCache, setBatchSize, updateRepoCache } = await import('../tokenBatcher.js');
+const { forEachRepo } = await import('../repoFanOut.js');
+
+const INSTALLATION = 8;
+const REPOS = makeRepos('acme', 12);
+const PERMISSIONS = { issues: 'write' };
+// Octokit's throttling spaces content-creating requests seconds apart; the simulator needs no such care
+const TestOctokit = Octokit.defaults({ throttle: { enabled: false }, retry: { enabled: false } });
+const run = (fn, options = {}) => forEachRepo(INSTALLATION, PERMISSIONS, fn, { Octokit: TestOctokit, ...options });
+
+// Comment on issue 1 of the repo; resolves to nothing, like most write operations
+async function comment(octokit, repo) {
+  await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', { owner: repo.owner, repo: repo.name, issue_number: 1, body: 'hi' });
+}
+
+describe('forEachRepo', () => {
+  let sim;
+  let tmpDir;
+
+  before(async () => {
+    sim = createGitHubSimulator({
+      installations: [{ id: INSTALLATION, account: 'acme', permissions: { metadata: 'read', issues: 'write' }, repos: REPOS }],
+    });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'split-token-fanout-'));
+    setBatchSize(5);
+    await populateRepoCache(new Probot(probotOptions()));
+  });
+
+  afterEach(() => {
+    delete process.env.TOKEN_REFRESH_MARGIN_MS;
+  });
+
+  after(() => {
+    sim.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('visits every repo with the token of its batch', async () => {
+    const before = sim.comments.length;
+    const { results, errors } = await run(comment);
+
+    assert.equal(Object.keys(results).length, 12);
+    assert.deepEqual(errors, {});
+    const comments = sim.comments.slice(before);
+    const tokens = new Set(comments.map(c => c.token));
+    assert.equal(tokens.size, 3);
+    for (const c of comments) {
+      assert.ok(sim.tokenInfo(c.token).repoIds.has(REPOS.find(r => r.name === c.repo).id));
+    }
+  });
+
+  it('refreshes a batch token that nears expiry during the run', async () => {
+    const before = sim.comments.length;
+    let calls = 0;
+    await run(async (octokit, repo) => {
+      // After the third repo, every cached token counts as about to expire
+      if (++calls === 3) process.env.TOKEN_REFRESH_MARGIN_MS = String(60 * 60 * 1000);
+      return comment(octokit, repo);
+    }, { concurrency: 1 });
+
+    const firstBatch = sim.comments.slice(before, before + 5).map(c => c.token);
+    assert.equal(firstBatch[0], firstBatch[2]);
+    assert.notEqual(firstBatch[2], firstBatch[3]);
+  });
+
+  it('retries a repo once with a new token after a 401', async () => {
+    const before = sim.comments.length;
+    let calls = 0;
+    const { results, errors } = await run(async (octokit, repo) => {
+      // Revoke the batch token behind forEachRepo's back before the second call
+      if (++calls === 2) sim.tokenInfo(sim.comments.at(-1).token).revoked = true;
+      return comment(octokit, repo);
+    }, { concurrency: 1 });
+
+    assert.deepEqual(errors, {});
+    assert.equal(Object.keys(results).length, 12);
+    assert.equal(calls, 13);
+    const [first, second] = sim.comments.slice(before);
+    assert.notEqual(first.token, second.token);
+  });
+
+  it('skips a repo that a webhook moved to another installation during the run', async () => {
+    const moved = 'acme/repo-0012';
+    const before = sim.tokenRequests.length;
+    const visited = [];
+    const { results, errors } = await run(async (octokit, repo) => {
+      if (visited.push(repo.fullName) === 1) {
+        updateRepoCache([INSTALLATION, 9], (cache) => { cache[moved] = { ...cache[moved], installationId: 9 }; });
+      }
+      return comment(octokit, repo);
+    }, { concurrency: 1 });
+
+    try {
+      assert.deepEqual(errors, {});
+      assert.equal(visited.includes(moved), false);
+      assert.equal(Object.keys(results).length, 11);
+      // No token was minted for installation 9's batch under this run's installation
+      const movedId = REPOS.find(r => r.full_name === moved).id;
+      assert.ok(sim.tokenRequests.slice(before).every(r => r.installationId === INSTALLATION && !r.repository_ids?.includes(movedId)));
+    } finally {
+      updateRepoCache([INSTALLATION, 9], (cache) => { cache[moved] = { ...cache[moved], installationId: INSTALLATION }; });
+    }
+  });
+
+  it('resumes after a crash without repeating the repos that succeeded', async () => {
+    const checkpointPath = path.join(tmpDir, 'run.json');
+    const visited = [];
+    // The first run "crashes": its sixth call never returns, as if the process died there
+    run(async (octokit, repo) => {
+      if (visited.length === 5) return new Promise(() => {});
+      visited.push(repo.fullName);
+      return comment(octokit, repo);
+    }, { concurrency: 1, checkpointPath, checkpointEvery: 1 });
+    await waitFor(() => fs.existsSync(checkpointPath) && JSON.parse(fs.readFileSync(checkpointPath, 'utf8')).completed.length === 5);
+
+    const rerun = [];
+    const { resumed, errors } = await run(async (octokit, repo) => {
+      rerun.push(repo.fullName);
+      return comment(octokit, repo);
+    }, { concurrency: 1, checkpointPath, checkpointEvery: 1 });
+
+    assert.equal(resumed, 5);
+    assert.deepEqual(errors, {});
+    assert.deepEqual([...visited, ...rerun].sort(), REPOS.map(r => r.full_name).sort());
+    assert.equal(fs.existsSync(checkpointPath), false);
+  });
+});
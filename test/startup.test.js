@@ -0,0 +1,33 @@
+/**
+ * Tests for app startup with a startup configuration that does not validate.
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Probot } from 'probot';
+import { createGitHubSimulator, makeRepos } from './helpers/githubSimulator.js';
+import { useTestEnv, probotOptions, waitFor } from './helpers/testEnv.js';
+
+useTestEnv({ STARTUP_MODE: 'prewram', TOKEN_BATCH_SIZE: 'ten' });
+
+const { default: splitTokenApp } = await import('../index.js');
+const { repoCache, getBatchSize } = await import('../tokenBatcher.js');
+
+describe('startup with an invalid startup configuration', () => {
+  let sim;
+
+  before(() => {
+    sim = createGitHubSimulator({ installations: [{ id: 6, account: 'acme', repos: makeRepos('acme', 8) }] });
+  });
+
+  after(() => sim.stop());
+
+  it('still populates the repo cache and skips only the warm-up', async () => {
+    await new Probot(probotOptions()).load(splitTokenApp);
+    await waitFor(() => Object.keys(repoCache).length === 8);
+    // Give a warm-up the chance to run if it was (wrongly) started
+    await new Promise(r => setTimeout(r, 100));
+
+    assert.equal(getBatchSize(), 500);
+    assert.deepEqual(sim.scopedTokenRequests(), []);
+  });
+});
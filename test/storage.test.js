@@ -0,0 +1,205 @@
+/**
+ * Tests for the cache stores (storage.js): value encryption, TTL expiry, the cross-process locks of the file store
+ * (including stale lock files) and the Redis store. The Redis tests need a server and are skipped unless REDIS_URL
+ * is set, e.g. REDIS_URL=redis://localhost:6379 npm test.
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useTestEnv } from './helpers/testEnv.js';
+
+useTestEnv();
+
+const { createMemoryStore, createFileStore, createRedisStore, encryptValue, decryptValue } = await import('../storage.js');
+const { setLogger } = await import('../logger.js');
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Behaviour every backend shares
+function storeContract(makeStore) {
+  let store;
+  before(async () => { store = await makeStore(); });
+  after(async () => { await store.close(); });
+
+  it('stores, lists and deletes values', async () => {
+    await store.set('token:1:0', { token: 'ghs_one' });
+    await store.set('token:1:1', { token: 'ghs_two' });
+    await store.set('repos:1', ['a', 'b']);
+
+    assert.deepEqual(await store.get('token:1:0'), { token: 'ghs_one' });
+    assert.deepEqual((await store.keys('token:1:')).sort(), ['token:1:0', 'token:1:1']);
+    await store.delete('token:1:0');
+    assert.equal(await store.get('token:1:0'), undefined);
+    assert.deepEqual(await store.keys('token:1:'), ['token:1:1']);
+  });
+
+  it('expires values after their TTL', async () => {
+    await store.set('ttl', 'soon gone', { ttlMs: 50 });
+    assert.equal(await store.get('ttl'), 'soon gone');
+    await sleep(80);
+    assert.equal(await store.get('ttl'), undefined);
+    assert.deepEqual(await store.keys('ttl'), []);
+  });
+
+  it('hands a lock to one holder until it is released', async () => {
+    const owner = await store.acquireLock('lock:a', 10000);
+    assert.ok(owner);
+    assert.equal(await store.acquireLock('lock:a', 10000), null);
+
+    await store.releaseLock('lock:a', 'someone-else');
+    assert.equal(await store.acquireLock('lock:a', 10000), null);
+    await store.releaseLock('lock:a', owner);
+    assert.ok(await store.acquireLock('lock:a', 10000));
+  });
+
+  it('frees a lock once its TTL has passed', async () => {
+    const owner = await store.acquireLock('lock:b', 50);
+    assert.ok(owner);
+    await sleep(80);
+    const next = await store.acquireLock('lock:b', 10000);
+    assert.ok(next);
+    assert.notEqual(next, owner);
+
+    // The previous holder releasing late must not drop the new holder's lock
+    await store.releaseLock('lock:b', owner);
+    assert.equal(await store.acquireLock('lock:b', 10000), null);
+  });
+}
+
+describe('value encryption', () => {
+  const value = { token: 'ghs_secret', expires_at: '2030-01-01T00:00:00Z', repositories: ['a', 'b'] };
+
+  it('round-trips a value without leaking it into the envelope', () => {
+    const envelope = encryptValue(value, 'key-one');
+
+    assert.doesNotMatch(envelope, /ghs_secret/);
+    assert.deepEqual(decryptValue(envelope, 'key-one'), value);
+    assert.notEqual(encryptValue(value, 'key-one'), envelope, 'each encryption uses a fresh IV');
+  });
+
+  it('rejects a wrong key', () => {
+    assert.throws(() => decryptValue(encryptValue(value, 'key-one'), 'key-two'));
+  });
+
+  it('rejects tampered data and a tampered tag', () => {
+    const envelope = JSON.parse(encryptValue(value, 'key-one'));
+    const flip = b64 => {
+      const buf = Buffer.from(b64, 'base64');
+      buf[0] ^= 1;
+      return buf.toString('base64');
+    };
+
+    assert.throws(() => decryptValue(JSON.stringify({ ...envelope, data: flip(envelope.data) }), 'key-one'));
+    assert.throws(() => decryptValue(JSON.stringify({ ...envelope, tag: flip(envelope.tag) }), 'key-one'));
+  });
+});
+
+describe('memory store', () => {
+  storeContract(() => createMemoryStore());
+});
+
+describe('file store', () => {
+  let tmpDir;
+  let filePath;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'split-token-store-'));
+    filePath = path.join(tmpDir, 'cache.enc');
+  });
+
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  describe('shared behaviour', () => {
+    storeContract(() => createFileStore({ filePath, secret: 'file-secret' }));
+  });
+
+  it('requires an encryption key', () => {
+    assert.throws(() => createFileStore({ filePath, secret: '' }), /CACHE_ENCRYPTION_KEY/);
+  });
+
+  it('keeps the file encrypted and unreadable with another key', async () => {
+    const store = createFileStore({ filePath, secret: 'file-secret' });
+    await store.set('token:9:0', { token: 'ghs_on_disk' });
+
+    assert.doesNotMatch(fs.readFileSync(filePath, 'utf8'), /ghs_on_disk/);
+    assert.deepEqual(await createFileStore({ filePath, secret: 'file-secret' }).get('token:9:0'), { token: 'ghs_on_disk' });
+    await assert.rejects(createFileStore({ filePath, secret: 'other-secret' }).get('token:9:0'));
+  });
+
+  it('waits for a held lock file and does not lose concurrent writes', async () => {
+    const store = createFileStore({ filePath, secret: 'file-secret' });
+    const lockPath = `${filePath}.lock`;
+    fs.writeFileSync(lockPath, '');
+
+    let done = false;
+    const write = store.set('blocked', 1).then(() => { done = true; });
+    await sleep(100);
+    assert.equal(done, false);
+    fs.rmSync(lockPath);
+    await write;
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.set(`concurrent:${i}`, i)));
+    assert.equal((await store.keys('concurrent:')).length, 10);
+    assert.equal(fs.existsSync(lockPath), false);
+  });
+
+  it('breaks a stale lock file left by a crashed process', async () => {
+    const store = createFileStore({ filePath, secret: 'file-secret' });
+    const lockPath = `${filePath}.lock`;
+    fs.writeFileSync(lockPath, '');
+    const old = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lockPath, old, old);
+
+    await store.set('after-crash', true);
+    assert.equal(await store.get('after-crash'), true);
+    assert.equal(fs.existsSync(lockPath), false);
+  });
+});
+
+describe('redis store', { skip: !process.env.REDIS_URL && 'REDIS_URL is not set' }, () => {
+  // A fresh prefix per run keeps the tests off other keys on the server
+  const prefix = `split-token-app-test:${crypto.randomUUID()}:`;
+  const secret = 'redis-secret';
+
+  describe('shared behaviour', () => {
+    storeContract(() => createRedisStore({ url: process.env.REDIS_URL, prefix, secret }));
+  });
+
+  it('takes locks with SET NX and stores values encrypted', async () => {
+    const { createClient } = await import('redis');
+    const client = createClient({ url: process.env.REDIS_URL });
+    await client.connect();
+    try {
+      const store = await createRedisStore({ client, prefix, secret });
+      const owner = await store.acquireLock('lock:nx', 10000);
+      assert.equal(await client.get(`${prefix}lock:nx`), owner);
+      assert.ok(await client.pTTL(`${prefix}lock:nx`) > 0);
+      await store.releaseLock('lock:nx', owner);
+      assert.equal(await client.exists(`${prefix}lock:nx`), 0);
+
+      await store.set('token:1:0', { token: 'ghs_in_redis' });
+      assert.doesNotMatch(await client.get(`${prefix}token:1:0`), /ghs_in_redis/);
+      await store.delete('token:1:0');
+    } finally {
+      await client.quit();
+    }
+  });
+});
+
+describe('redis store without an encryption key', () => {
+  it('warns that tokens are stored unencrypted', async () => {
+    const warnings = [];
+    setLogger({ ...console, warn: message => warnings.push(message) });
+    try {
+      // A supplied client is not touched until the store is used
+      await createRedisStore({ client: {}, secret: '' });
+    } finally {
+      setLogger(console);
+    }
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /CACHE_ENCRYPTION_KEY/);
+  });
+});
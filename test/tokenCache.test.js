@@ -0,0 +1,132 @@
+/**
+ * Tests for token revocation in the token cache (superseded, removed-batch and shutdown), with a per-process
+ * memory store and with a file store shared by replicas, against the GitHub simulator.
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createGitHubSimulator, makeRepos } from './helpers/githubSimulator.js';
+import { useTestEnv, waitFor, privateKey, APP_ID } from './helpers/testEnv.js';
+
+useTestEnv({ REVOKE_GRACE_MS: '0' });
+
+const {
+  getOrMintToken,
+  invalidateTokens,
+  revokeAllTokens,
+  listCachedTokens,
+  tokenCacheKey,
+  permissionsKey,
+} = await import('../tokenCache.js');
+const { getAccessToken } = await import('../getAppInstallationToken.js');
+const { createMemoryStore, createFileStore, setStore, getStore } = await import('../storage.js');
+
+const INSTALLATION = 4;
+const REPOS = ['repo-0001', 'repo-0002'];
+const PERMISSIONS = { contents: 'read' };
+
+const batch = batchIndex => ({ installationId: INSTALLATION, batchIndex, permissions: PERMISSIONS, repositories: REPOS });
+const mint = audit => getAccessToken({ clientId: APP_ID, privatePem: privateKey, installationId: INSTALLATION, repositories: REPOS, permissions: PERMISSIONS, audit });
+const settle = () => new Promise(r => setTimeout(r, 50));
+
+describe('token revocation', () => {
+  let sim;
+  let tmpDir;
+  const revoked = token => sim.tokenInfo(token).revoked;
+
+  before(() => {
+    sim = createGitHubSimulator({
+      installations: [{ id: INSTALLATION, account: 'acme', permissions: { metadata: 'read', contents: 'read' }, repos: makeRepos('acme', 3) }],
+    });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'split-token-cache-'));
+  });
+
+  after(() => {
+    setStore(createMemoryStore());
+    sim.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('with a memory store', () => {
+    before(() => setStore(createMemoryStore()));
+
+    it('revokes the token it superseded', async () => {
+      const first = await getOrMintToken(batch(0), mint);
+      const second = await getOrMintToken(batch(0), mint, { force: true });
+
+      await waitFor(() => revoked(first.token));
+      assert.equal(revoked(second.token), false);
+    });
+
+    it('revokes the tokens of a removed batch', async () => {
+      const entry = await getOrMintToken(batch(0), mint);
+      invalidateTokens({ installationId: INSTALLATION, batchIndex: 0, reason: 'batch-removed' });
+
+      await waitFor(() => revoked(entry.token));
+      assert.equal(listCachedTokens().length, 0);
+    });
+
+    it('revokes outstanding tokens on shutdown', async () => {
+      const entry = await getOrMintToken(batch(1), mint);
+
+      assert.equal(await revokeAllTokens(), 1);
+      assert.equal(revoked(entry.token), true);
+    });
+  });
+
+  describe('with a shared file store', () => {
+    // A token minted by another replica and published through the store
+    const publishForeignToken = async (batchIndex) => {
+      const resp = await getAccessToken({ clientId: APP_ID, privatePem: privateKey, installationId: INSTALLATION, repositories: REPOS, permissions: PERMISSIONS });
+      const entry = {
+        ...resp,
+        installationId: INSTALLATION,
+        batchIndex,
+        permissionsKey: permissionsKey(PERMISSIONS),
+        batchRepos: REPOS,
+        expiresAtMs: Date.parse(resp.expires_at),
+      };
+      await getStore().set(`token:${tokenCacheKey(batch(batchIndex))}`, entry);
+      return entry;
+    };
+
+    before(() => setStore(createFileStore({ filePath: path.join(tmpDir, 'cache.enc'), secret: 'test-secret' })));
+
+    it('does not revoke another replica\'s token when superseding or invalidating it', async () => {
+      const foreign = await publishForeignToken(2);
+      assert.equal((await getOrMintToken(batch(2), mint)).token, foreign.token);
+
+      const own = await getOrMintToken(batch(2), mint, { force: true });
+      invalidateTokens({ installationId: INSTALLATION, batchIndex: 2, reason: 'batch-changed' });
+
+      await waitFor(() => revoked(own.token));
+      // The store entries are dropped in the background
+      // eslint-disable-next-line no-await-in-loop
+      for (let i = 0; i < 40 && (await getStore().keys(`token:${INSTALLATION}:2:`)).length > 0; i++) await settle();
+      await settle();
+      assert.deepEqual(await getStore().keys(`token:${INSTALLATION}:2:`), []);
+      assert.equal(revoked(foreign.token), false);
+    });
+
+    it('stops using a token read from the store once another replica dropped it', async () => {
+      const foreign = await publishForeignToken(3);
+      assert.equal((await getOrMintToken(batch(3), mint)).token, foreign.token);
+
+      await getStore().delete(`token:${tokenCacheKey(batch(3))}`);
+      const next = await getOrMintToken(batch(3), mint);
+      assert.notEqual(next.token, foreign.token);
+    });
+
+    it('revokes shared tokens on shutdown only with includeShared', async () => {
+      const entry = await getOrMintToken(batch(4), mint);
+
+      await revokeAllTokens();
+      assert.equal(revoked(entry.token), false);
+      assert.ok(await revokeAllTokens({ includeShared: true }) >= 1);
+      assert.equal(revoked(entry.token), true);
+      assert.deepEqual(await getStore().keys('token:'), []);
+    });
+  });
+});
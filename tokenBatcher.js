@@ -3,33 +3,330 @@
  * Utilities to split large repository lists into 500‑repo batches (GitHub installation access token limit)
  * and request scoped tokens for a specific batch.
  */
-import { getAccessToken } from './getAppInstallationToken.js';
+import crypto from 'crypto';
+import { Octokit } from 'octokit';
+import { getAccessToken, resolveBaseUrl, appKeys } from './getAppInstallationToken.js';
+import { getOrMintToken, invalidateTokens, permissionsCover } from './tokenCache.js';
+import { TokenValidationError, PermissionNotGrantedError, RepositoryAccessError } from './errors.js';
+import { getStore } from './storage.js';
+import { log } from './logger.js';
+import { recordRepoCachePopulate } from './metrics.js';
+
+// GitHub limit on repositories per installation access token
+export const BATCH_SIZE = 500;
+
+// Repos per batch; smaller batches can be configured at startup (setBatchSize), never more than BATCH_SIZE
+let batchSize = BATCH_SIZE;
+
+// Permissions requested when a caller does not specify any (least privilege; handlers declare what they need)
+export const DEFAULT_PERMISSIONS = { metadata: 'read' };
 
 // Shared in-memory cache of repositories keyed by full_name => { id, installationId }
-// Populated by populateRepoCache(app). Exported so other modules can read current mapping.
+// Populated by populateRepoCache(app) and kept in sync by repoCacheSync.js. Exported so other modules can read current mapping.
 export const repoCache = {};
 
+// installationId => Map(owner/repo => batchIndex). Repos keep their batch for as long as they stay in the
+// installation, so adding or removing a repo only changes the batch it lands in / leaves. Layouts hold full
+// names, so the same repo name under two accounts never collides.
+const batchLayouts = new Map();
+
+// installationId => permissions granted to the installation (from GET /app/installations / installation webhooks)
+export const installationPermissions = {};
+
+// installationId => repository_selection ('all' | 'selected'), used to decide whether newly created repos join an installation
+export const installationSelection = {};
+
+// installationId => login of the org or user account the installation belongs to
+export const installationAccounts = {};
+
+/**
+ * Normalize an installation id to a number, so '123' (route params, env, JSON keys) and 123 (webhook payloads)
+ * address the same installation.
+ * @param {number|string} installationId
+ * @returns {number}
+ * @throws {TokenValidationError} when it is not a positive integer
+ */
+export function normalizeInstallationId(installationId) {
+  const id = typeof installationId === 'string' ? Number(installationId.trim()) : installationId;
+  if (!Number.isSafeInteger(id) || id <= 0) {
+    throw new TokenValidationError(`Invalid installation id ${JSON.stringify(installationId)}`);
+  }
+  return id;
+}
+
+/**
+ * Resolve an installation from its id or the login of its account (case-insensitive).
+ * @param {number|string} idOrLogin
+ * @returns {number|undefined} installation id; undefined when no known installation belongs to that login
+ */
+export function resolveInstallation(idOrLogin) {
+  if (/^\s*\d+\s*$/.test(String(idOrLogin))) return normalizeInstallationId(String(idOrLogin));
+  const login = String(idOrLogin).toLowerCase();
+  const match = Object.keys(installationAccounts).find(id => installationAccounts[id]?.toLowerCase() === login);
+  return match === undefined ? undefined : Number(match);
+}
+
+/**
+ * Every installation the app knows about: those listed by GET /app/installations / the installation webhooks,
+ * plus any that still have repos in repoCache.
+ * @returns {number[]} installation ids, ascending
+ */
+export function knownInstallations() {
+  const ids = new Set([
+    ...Object.keys(installationSelection).map(Number),
+    ...Object.values(repoCache).map(r => r.installationId),
+  ]);
+  return [...ids].sort((a, b) => a - b);
+}
+
 /**
  * Populate the repoCache with all repos for all installations.
- * NOTE: This will clear and rebuild the cache each time it's called.
+ * NOTE: This rebuilds the whole cache each time it's called; webhook events keep it current in between.
+ * Only the batch tokens whose repo list changed are invalidated. Duration and outcome are recorded in metrics.js.
  * @param {*} app - The GitHub App instance.
  * @returns {Promise<object>} repoCache mapping
  */
 export async function populateRepoCache(app) {
-  // Clear existing keys without changing reference (so existing imports see updates)
-  for (const k of Object.keys(repoCache)) delete repoCache[k];
+  const started = Date.now();
+  try {
+    await loadAllInstallations(app);
+  } catch (err) {
+    recordRepoCachePopulate({ durationMs: Date.now() - started, ok: false });
+    throw err;
+  }
+  recordRepoCachePopulate({ durationMs: Date.now() - started, ok: true });
+  return repoCache;
+}
 
+async function loadAllInstallations(app) {
+  const fresh = {};
   const appAuth = await app.auth();
   const installations = await appAuth.paginate("GET /app/installations");
+  const current = new Set(installations.map(inst => inst.id));
+  // Forget installations the app was removed from while no webhook reached us
+  for (const id of Object.keys(installationSelection).map(Number)) {
+    if (current.has(id)) continue;
+    delete installationSelection[id];
+    delete installationPermissions[id];
+    delete installationAccounts[id];
+  }
   for (const inst of installations) {
+    installationSelection[inst.id] = inst.repository_selection;
+    installationPermissions[inst.id] = inst.permissions;
+    installationAccounts[inst.id] = inst.account?.login;
     const installationOctokit = await app.auth(inst.id);
     const repoList = await installationOctokit.paginate("GET /installation/repositories");
     for (const repo of repoList) {
-      repoCache[repo.full_name] = { id: repo.id, installationId: inst.id };
+      fresh[repo.full_name] = { id: repo.id, installationId: inst.id };
     }
   }
-  app.log.debug(`[tokenBatcher] Cached ${Object.keys(repoCache).length} repos total.`);
-  return repoCache;
+
+  const installationIds = new Set([
+    ...Object.values(repoCache).map(r => r.installationId),
+    ...installations.map(inst => inst.id),
+  ]);
+  const changed = updateRepoCache([...installationIds], cache => {
+    // Replace keys without changing reference (so existing imports see updates)
+    for (const k of Object.keys(cache)) delete cache[k];
+    Object.assign(cache, fresh);
+  });
+  app.log.debug(`[tokenBatcher] Cached ${Object.keys(repoCache).length} repos across ${installations.length} installation(s); ${changed.length} batch(es) changed.`);
+}
+
+function fullNamesForInstallation(installationId) {
+  return Object.keys(repoCache).filter(full => repoCache[full].installationId === installationId);
+}
+
+/**
+ * Current batches (`owner/repo` lists) for an installation from its stable batch layout,
+ * index aligned with batch index. A batch emptied by removals stays (empty) until new repos fill it.
+ * @param {number|string} installationId
+ * @returns {string[][]}
+ */
+export function batchesForInstallation(installationId) {
+  const id = normalizeInstallationId(installationId);
+  return assignBatches(id, fullNamesForInstallation(id));
+}
+
+/**
+ * Bring the stable batch layout of an installation in line with `repoNames` while moving as few repos as possible:
+ * existing repos keep their batch, removed repos free their slot, and new repos (in name order) fill the lowest
+ * batch with room before a new batch is appended. A fresh layout equals chunking the sorted names.
+ * @param {number|string} installationId
+ * @param {string[]} repoNames - all repos currently in the installation (`owner/repo`)
+ * @param {number} [size] - default the configured batch size
+ * @returns {string[][]} batches, index aligned with batch index, each sorted by name
+ */
+export function assignBatches(installationId, repoNames, size = batchSize) {
+  installationId = normalizeInstallationId(installationId);
+  const layout = batchLayouts.get(installationId) || new Map();
+  const wanted = new Set(repoNames);
+  for (const repo of layout.keys()) {
+    if (!wanted.has(repo)) layout.delete(repo);
+  }
+
+  const sizes = [];
+  for (const index of layout.values()) sizes[index] = (sizes[index] || 0) + 1;
+  let candidate = 0;
+  for (const repo of [...wanted].sort((a, b) => a.localeCompare(b))) {
+    if (layout.has(repo)) continue;
+    while ((sizes[candidate] || 0) >= size) candidate++;
+    layout.set(repo, candidate);
+    sizes[candidate] = (sizes[candidate] || 0) + 1;
+  }
+  if (layout.size > 0) batchLayouts.set(installationId, layout);
+  else batchLayouts.delete(installationId);
+
+  const batches = Array.from({ length: sizes.length }, () => []);
+  for (const [repo, index] of layout) batches[index].push(repo);
+  // Trailing batches left empty by removals are dropped; gaps in the middle keep their index
+  while (batches.length > 0 && batches[batches.length - 1].length === 0) batches.pop();
+  return batches.map(batch => batch.sort((a, b) => a.localeCompare(b)));
+}
+
+/**
+ * Full name of a repo of an installation given as `owner/repo` or as a name, which is looked up under the
+ * installation's account first.
+ * @param {number} installationId - normalized
+ * @param {string} repo
+ * @returns {string|undefined}
+ */
+function fullNameInInstallation(installationId, repo) {
+  if (repo.includes('/')) return repo;
+  const account = installationAccounts[installationId];
+  if (account && repoCache[`${account}/${repo}`]?.installationId === installationId) return `${account}/${repo}`;
+  return fullNamesForInstallation(installationId).find(full => full.split('/')[1] === repo);
+}
+
+/**
+ * Batch index a repo is assigned to in its installation's layout.
+ * @param {number|string} installationId
+ * @param {string} repo - `owner/repo`, or a name under the installation's account
+ * @returns {number} batch index, or -1 when the repo is not in the layout
+ */
+export function batchIndexForRepo(installationId, repo) {
+  const id = normalizeInstallationId(installationId);
+  batchesForInstallation(id);
+  const index = batchLayouts.get(id)?.get(fullNameInInstallation(id, repo));
+  return index === undefined ? -1 : index;
+}
+
+/**
+ * Inspectable view of an installation's batch layout.
+ * @param {number|string} installationId
+ * @returns {{ installationId: number, account?: string, batchSize: number, batches: { batchIndex: number, size: number, repos: string[] }[] }}
+ */
+export function getBatchLayout(installationId) {
+  const id = normalizeInstallationId(installationId);
+  const batches = batchesForInstallation(id);
+  return {
+    installationId: id,
+    account: installationAccounts[id],
+    batchSize,
+    batches: batches.map((repos, batchIndex) => ({ batchIndex, size: repos.length, repos })),
+  };
+}
+
+/**
+ * Set the number of repos per batch (call at startup, before repoCache is populated or restored).
+ * Changing it drops the current batch layouts, so every batch is laid out again.
+ * @param {number} size - 1..BATCH_SIZE
+ * @throws {TokenValidationError} when the size is out of range
+ */
+export function setBatchSize(size) {
+  if (!Number.isInteger(size) || size < 1 || size > BATCH_SIZE) {
+    throw new TokenValidationError(`Batch size must be an integer between 1 and ${BATCH_SIZE} (got ${size})`);
+  }
+  if (size === batchSize) return;
+  batchSize = size;
+  batchLayouts.clear();
+}
+
+/**
+ * Number of repos per batch currently in use.
+ * @returns {number}
+ */
+export function getBatchSize() {
+  return batchSize;
+}
+
+function sameBatch(a = [], b = []) {
+  return a.length === b.length && a.every((repo, i) => repo === b[i]);
+}
+
+/**
+ * Apply `mutate` to repoCache, then invalidate (and revoke) cached tokens only for the batches whose repo list
+ * changed or that no longer exist.
+ * @param {Array<number|string>} installationIds - installations the mutation may touch
+ * @param {(cache: object) => void} mutate - receives repoCache and edits it in place
+ * @returns {{ installationId: number|string, batchIndex: number }[]} batches that changed
+ */
+export function updateRepoCache(installationIds, mutate) {
+  installationIds = [...new Set(installationIds.map(normalizeInstallationId))];
+  const before = installationIds.map(id => batchesForInstallation(id));
+  mutate(repoCache);
+  const changed = [];
+  installationIds.forEach((installationId, i) => {
+    const after = batchesForInstallation(installationId);
+    const count = Math.max(before[i].length, after.length);
+    for (let batchIndex = 0; batchIndex < count; batchIndex++) {
+      if (sameBatch(before[i][batchIndex], after[batchIndex])) continue;
+      const reason = after[batchIndex]?.length ? 'batch-changed' : 'batch-removed';
+      invalidateTokens({ installationId, batchIndex, reason });
+      changed.push({ installationId, batchIndex });
+    }
+  });
+  persistRepoCache().catch(err => log.warn(`[tokenBatcher] Failed to persist repoCache: ${err.message}`));
+  return changed;
+}
+
+/**
+ * Write repoCache, the installation metadata and the batch layouts to the shared store, so a restart
+ * (or another replica) can start from them instead of re-paging every installation.
+ * @returns {Promise<void>}
+ */
+export async function persistRepoCache() {
+  const layouts = {};
+  for (const [installationId, layout] of batchLayouts) layouts[installationId] = [...layout];
+  await getStore().set('repoCache', {
+    savedAt: Date.now(),
+    batchSize,
+    repos: repoCache,
+    selection: installationSelection,
+    permissions: installationPermissions,
+    accounts: installationAccounts,
+    layouts,
+  });
+}
+
+/**
+ * Load repoCache and batch layouts from the shared store.
+ * @param {*} app - The GitHub App instance.
+ * @param {object} [options]
+ * @param {number} [options.maxAgeMs] - ignore snapshots older than this (default REPO_CACHE_MAX_AGE_MS or 1 hour)
+ * @returns {Promise<boolean>} true when a usable snapshot was restored
+ */
+export async function restoreRepoCache(app, { maxAgeMs = parseInt(process.env.REPO_CACHE_MAX_AGE_MS || '3600000', 10) } = {}) {
+  const snapshot = await getStore().get('repoCache');
+  if (!snapshot || Date.now() - snapshot.savedAt > maxAgeMs) return false;
+  for (const k of Object.keys(repoCache)) delete repoCache[k];
+  Object.assign(repoCache, snapshot.repos);
+  Object.assign(installationSelection, snapshot.selection);
+  Object.assign(installationPermissions, snapshot.permissions);
+  Object.assign(installationAccounts, snapshot.accounts);
+  batchLayouts.clear();
+  if ((snapshot.batchSize ?? BATCH_SIZE) !== batchSize) {
+    // Layouts saved with another batch size are rebuilt from the repo list
+    app.log.info(`[tokenBatcher] Batch size changed from ${snapshot.batchSize ?? BATCH_SIZE} to ${batchSize}; rebuilding batch layouts.`);
+    return true;
+  }
+  // JSON turns installation ids into strings; repoCache keeps them as numbers
+  for (const [installationId, layout] of Object.entries(snapshot.layouts || {})) {
+    // Snapshots from before layouts held full names are rebuilt from the repo list
+    if (layout.every(([repo]) => repo.includes('/'))) batchLayouts.set(Number(installationId), new Map(layout));
+  }
+  app.log.debug(`[tokenBatcher] Restored ${Object.keys(repoCache).length} repos from the ${getStore().kind} store (saved ${new Date(snapshot.savedAt).toISOString()}).`);
+  return true;
 }
 
 /**
@@ -38,7 +335,7 @@ export async function populateRepoCache(app) {
  * @param {number} size
  * @returns {string[][]}
  */
-export function chunk(items, size = 500) {
+export function chunk(items, size = batchSize) {
   if (!Array.isArray(items)) return [];
   const out = [];
   for (let i = 0; i < items.length; i += size) {
@@ -48,17 +345,19 @@ export function chunk(items, size = 500) {
 }
 
 /**
- * Derive canonical, stable list of repository names for a given installation from repoCache.
+ * Derive canonical, sorted list of repository names for a given installation from repoCache.
+ * NOTE: slicing this list by index shifts every later repo when one is added; use the stable layout
+ * (batchesForInstallation / batchIndexForRepo) to decide which batch a repo belongs to.
  * @param {object} repoCache - Map of repoFullName -> { installationId, repoId, ... }
  * @param {number|string} installationId
  * @returns {string[]} Sorted repository names (no owner, just repo)
  */
 export function listReposForInstallation(repoCache, installationId) {
   if (!repoCache) return [];
+  const id = normalizeInstallationId(installationId);
   const repos = Object.keys(repoCache)
-    .filter(full => repoCache[full].installationId === installationId)
+    .filter(full => repoCache[full].installationId === id)
     .map(full => full.split('/')[1]);
-  // Stable ordering so batch index is consistent across runs
   return repos.sort((a, b) => a.localeCompare(b));
 }
 
@@ -66,52 +365,364 @@ export function listReposForInstallation(repoCache, installationId) {
  * Get repositories for a particular batch index.
  * @param {string[]} sortedRepos - canonical sorted repo name list
  * @param {number} batchIndex - 0-based batch index
- * @param {number} batchSize - default 500
+ * @param {number} [size] - default the configured batch size
  * @returns {string[]} subset for that batch (could be empty if out of range)
  */
-export function reposForBatch(sortedRepos, batchIndex = 0, batchSize = 500) {
+export function reposForBatch(sortedRepos, batchIndex = 0, size = batchSize) {
   if (batchIndex < 0) throw new Error('batchIndex must be >= 0');
-  return sortedRepos.slice(batchIndex * batchSize, (batchIndex + 1) * batchSize);
+  return sortedRepos.slice(batchIndex * size, (batchIndex + 1) * size);
+}
+
+function preferRepositoryIds() {
+  return process.env.TOKEN_USE_REPOSITORY_IDS !== 'false';
+}
+
+/**
+ * Split a mixed repo list into the `repositories` (short names) and `repository_ids` fields of a token request.
+ * Entries may be short names, `owner/repo` full names or numeric ids. Names are resolved to ids through repoCache
+ * when `preferIds` is set, since ids survive renames and transfers; names missing from the cache stay names.
+ * GitHub resolves `repositories` names under the installation's account, so cached repos of any other owner are
+ * always sent as ids, an uncached `owner/repo` of any other owner is rejected (its name would select the account's
+ * repo of that name instead), and a short name that matches repos of several owners is rejected as ambiguous.
+ * @param {number|string} installationId
+ * @param {Array<string|number>} repos
+ * @param {object} [options]
+ * @param {boolean} [options.preferIds] - default true unless TOKEN_USE_REPOSITORY_IDS=false
+ * @returns {{ repositories: string[], repositoryIds: number[] }}
+ * @throws {TokenValidationError} when a full name belongs to a different installation or owner, or a short name is ambiguous
+ */
+export function resolveRepositories(installationId, repos = [], { preferIds = preferRepositoryIds() } = {}) {
+  installationId = normalizeInstallationId(installationId);
+  const account = installationAccounts[installationId]?.toLowerCase();
+
+  const repositories = [];
+  const repositoryIds = [];
+  for (const repo of repos) {
+    if (typeof repo === 'number') {
+      repositoryIds.push(repo);
+      continue;
+    }
+    if (!repo.includes('/')) {
+      const owners = fullNamesForInstallation(installationId).filter(full => full.split('/')[1] === repo);
+      if (owners.length > 1 && !owners.some(full => full.split('/')[0].toLowerCase() === account)) {
+        throw new TokenValidationError(`${repo} is ambiguous in installation ${installationId} (${owners.join(', ')}); use owner/repo`, { installationId, repositories: [repo] });
+      }
+    }
+    const fullName = fullNameInInstallation(installationId, repo);
+    const cached = fullName && repoCache[fullName];
+    if (repo.includes('/') && cached && cached.installationId !== installationId) {
+      throw new TokenValidationError(`${repo} belongs to installation ${cached.installationId}, not ${installationId}`, { installationId, repositories: [repo] });
+    }
+    if (repo.includes('/') && !cached && repo.split('/')[0].toLowerCase() !== account) {
+      throw new TokenValidationError(`${repo} is not in the repo cache and its owner is not the account of installation ${installationId} (${installationAccounts[installationId] ?? 'unknown'})`, { installationId, repositories: [repo] });
+    }
+    const foreignOwner = account && fullName && fullName.split('/')[0].toLowerCase() !== account;
+    if (cached && (preferIds || foreignOwner)) repositoryIds.push(cached.id);
+    else repositories.push(repo.includes('/') ? repo.split('/')[1] : repo);
+  }
+  return { repositories, repositoryIds: [...new Set(repositoryIds)] };
 }
 
 /**
  * Request an installation access token scoped to exactly the repos in the batch (<= 500).
+ * Repos are resolved with resolveRepositories, so names are sent as `repository_ids` when cached.
  * @param {object} params
  * @param {string|number} params.clientId
  * @param {string} params.privatePem
  * @param {string|number} params.installationId
- * @param {string[]} params.repositories
+ * @param {Array<string|number>} [params.repositories] - short names, `owner/repo` full names or ids
+ * @param {number[]} [params.repositoryIds]
  * @param {object} [params.permissions]
+ * @param {string} [params.baseUrl] - GitHub API base URL (defaults to GHE_HOST or api.github.com)
+ * @param {boolean} [params.preferIds] - send cached repos as ids (default true unless TOKEN_USE_REPOSITORY_IDS=false)
+ * @param {object} [params.audit] - { action, batchIndex, caller, reason } recorded in the audit log
  * @returns {Promise<object>} token response payload from GitHub (includes token, expires_at, permissions, repositories)
  */
-export async function getBatchToken({ clientId, privatePem, installationId, repositories, permissions }) {
-  if (!repositories || repositories.length === 0) {
-    throw new Error('No repositories provided for batch token');
+export async function getBatchToken({ clientId, privatePem, installationId, repositories = [], repositoryIds = [], permissions, baseUrl, preferIds, audit }) {
+  installationId = normalizeInstallationId(installationId);
+  const resolved = resolveRepositories(installationId, repositories, { preferIds });
+  const ids = [...new Set([...repositoryIds.map(Number), ...resolved.repositoryIds])];
+  const names = resolved.repositories;
+  const total = names.length + ids.length;
+  if (total === 0) {
+    throw new TokenValidationError('No repositories provided for batch token', { installationId });
   }
-  if (repositories.length > 500) {
-    throw new Error(`Batch exceeds 500 repos (got ${repositories.length})`);
+  if (total > BATCH_SIZE) {
+    throw new TokenValidationError(`Batch exceeds ${BATCH_SIZE} repos (got ${names.length} names + ${ids.length} ids)`, { installationId, repositories: [...names, ...ids] });
   }
-  return await getAccessToken({ clientId, privatePem, installationId, repositories, permissions });
+  return await getAccessToken({
+    clientId,
+    privatePem,
+    installationId,
+    repositories: names.length > 0 ? names : undefined,
+    repositoryIds: ids.length > 0 ? ids : undefined,
+    permissions,
+    baseUrl,
+    audit,
+  });
+}
+
+/**
+ * Reject permissions the installation was never granted before asking GitHub for a token.
+ * Installations whose permissions are not known yet (repoCache not populated) are not checked.
+ * @param {number|string} installationId
+ * @param {object} [permissions]
+ * @throws {PermissionNotGrantedError}
+ */
+export function assertPermissionsGranted(installationId, permissions) {
+  installationId = normalizeInstallationId(installationId);
+  const granted = installationPermissions[installationId];
+  if (!granted || !permissions) return;
+  if (permissionsCover(granted, permissions)) return;
+  const missing = Object.fromEntries(Object.entries(permissions).filter(([name, level]) => !permissionsCover(granted, { [name]: level })));
+  throw new PermissionNotGrantedError(
+    `Installation ${installationId} was not granted ${JSON.stringify(missing)} (granted ${JSON.stringify(granted)})`,
+    { installationId, permissions: missing }
+  );
+}
+
+/**
+ * Get the token for one batch from the token cache, minting it only when missing or close to expiry.
+ * Concurrent calls for the same (installation, batch, permissions) share a single token request, and a cached
+ * token with a superset of the requested permissions is reused. Each permission set otherwise gets its own token.
+ * @param {object} params
+ * @param {string|number} params.clientId
+ * @param {string} params.privatePem
+ * @param {string|number} params.installationId
+ * @param {number|string} params.batchIndex - layout index, `adhoc:<i>` for a list chunked by getAllBatchTokens or
+ *   `repos:<digest>` for a token narrowed by getTokensForRepos
+ * @param {string[]} params.repositories - repos in the batch (<= 500)
+ * @param {object} [params.permissions]
+ * @param {string} [params.baseUrl]
+ * @param {boolean} [params.force] - mint a new token even if a valid one is cached
+ * @param {string} [params.caller] - who needs the token, recorded in the audit log
+ * @returns {Promise<object>} cached token entry (token, expires_at, batchIndex, ...)
+ */
+export async function getCachedBatchToken({ clientId, privatePem, installationId, batchIndex, repositories, permissions, baseUrl, force, caller }) {
+  installationId = normalizeInstallationId(installationId);
+  assertPermissionsGranted(installationId, permissions);
+  return await getOrMintToken(
+    { installationId, batchIndex, permissions, repositories, baseUrl },
+    (audit) => getBatchToken({ clientId, privatePem, installationId, repositories, permissions, baseUrl, audit: { ...audit, batchIndex } }),
+    { force, caller }
+  );
 }
 
 /**
  * Convenience to get tokens for all batches (be careful with rate limits).
+ * Tokens are served from the token cache when still valid. Without `sortedRepos` the installation's
+ * stable batch layout is used; with it, the list is chunked as given and the tokens are cached as batches
+ * `adhoc:<i>`, apart from the layout's, so neither replaces (and revokes) the other's tokens.
  * @param {object} params
  * @param {string|number} params.clientId
  * @param {string} params.privatePem
  * @param {string|number} params.installationId
- * @param {string[]} params.sortedRepos
+ * @param {string[]} [params.sortedRepos]
  * @param {object} [params.permissions]
- * @returns {Promise<object[]>} array of token response payloads, index aligned with batch index.
+ * @param {string} [params.baseUrl]
+ * @param {string} [params.caller] - recorded in the audit log
+ * @returns {Promise<object[]>} array of token response payloads with their batchIndex (empty batches are skipped).
  */
-export async function getAllBatchTokens({ clientId, privatePem, installationId, sortedRepos, permissions }) {
-  const batches = chunk(sortedRepos, 500);
+export async function getAllBatchTokens({ clientId, privatePem, installationId, sortedRepos, permissions, baseUrl, caller }) {
+  installationId = normalizeInstallationId(installationId);
+  const batches = sortedRepos ? chunk(sortedRepos) : batchesForInstallation(installationId);
   const out = [];
   for (let i = 0; i < batches.length; i++) {
     const subset = batches[i];
+    if (subset.length === 0) continue;
+    const batchIndex = sortedRepos ? `adhoc:${i}` : i;
+    // eslint-disable-next-line no-await-in-loop
+    const token = await getCachedBatchToken({ clientId, privatePem, installationId, batchIndex, repositories: subset, permissions, baseUrl, caller });
+    out.push({ ...token, batchIndex: i, size: subset.length });
+  }
+  return out;
+}
+
+/**
+ * Where a cached repo lives: its installation, its batch index and the repos of that batch.
+ * @param {string} repoFullName - owner/repo
+ * @returns {{ installationId: number, batchIndex: number, repositories: string[] }|undefined} undefined when not cached
+ */
+export function batchForRepo(repoFullName) {
+  const cached = repoCache[repoFullName];
+  if (!cached) return undefined;
+  const batchIndex = batchIndexForRepo(cached.installationId, repoFullName);
+  return { installationId: cached.installationId, batchIndex, repositories: batchesForInstallation(cached.installationId)[batchIndex] };
+}
+
+// Requested repos grouped by the batch that holds them; the token covers the whole batch
+function batchGroups(repoFullNames) {
+  const groups = new Map();
+  for (const full of repoFullNames) {
+    const batch = batchForRepo(full);
+    const key = `${batch.installationId}:${batch.batchIndex}`;
+    if (!groups.has(key)) groups.set(key, { ...batch, requested: [] });
+    groups.get(key).requested.push(full);
+  }
+  return [...groups.values()];
+}
+
+// Requested repos grouped by installation, at most 500 per token, each group named after the repos it covers
+function requestedGroups(repoFullNames) {
+  const byInstallation = new Map();
+  for (const full of repoFullNames) {
+    const { installationId } = repoCache[full];
+    if (!byInstallation.has(installationId)) byInstallation.set(installationId, []);
+    byInstallation.get(installationId).push(full);
+  }
+  const groups = [];
+  for (const [installationId, names] of byInstallation) {
+    for (const repositories of chunk(names.sort((a, b) => a.localeCompare(b)), BATCH_SIZE)) {
+      const digest = crypto.createHash('sha256').update(repositories.join('\n')).digest('hex').slice(0, 16);
+      groups.push({ installationId, batchIndex: `repos:${digest}`, repositories, requested: repositories });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Tokens covering a list of `owner/repo` names. With the default `scope: 'batch'` there is one cached batch token
+ * per (installation, batch) the repos fall into, which also grants access to the rest of the batch (up to 500
+ * repos). With `scope: 'requested'` each installation gets a token limited to the requested repos, cached under
+ * `repos:<digest of the names>` so the same request is served from the cache.
+ * @param {string[]} repoFullNames
+ * @param {object} [options]
+ * @param {object} [options.permissions] - defaults to DEFAULT_PERMISSIONS
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.caller] - recorded in the audit log
+ * @param {'batch'|'requested'} [options.scope] - batch tokens, or tokens narrowed to the requested repos
+ * @returns {Promise<object[]>} [{ installationId, batchIndex, token, expires_at, permissions, repositories, requested }]
+ *   where `repositories` lists every repo the token grants access to and `requested` the requested repos among them
+ * @throws {TokenValidationError} when a repo is not part of any cached installation
+ */
+export async function getTokensForRepos(repoFullNames, { permissions = DEFAULT_PERMISSIONS, baseUrl, caller, scope = 'batch' } = {}) {
+  const unknown = repoFullNames.filter(full => !repoCache[full]);
+  if (unknown.length > 0) {
+    throw new TokenValidationError(`Repositories not in any installation: ${unknown.join(', ')}`, { repositories: unknown });
+  }
+  const unique = [...new Set(repoFullNames)];
+  const groups = scope === 'requested' ? requestedGroups(unique) : batchGroups(unique);
+
+  const { clientId, privatePem } = appCredentials();
+  const out = [];
+  for (const group of groups) {
     // eslint-disable-next-line no-await-in-loop
-    const token = await getBatchToken({ clientId, privatePem, installationId, repositories: subset, permissions });
-    out.push({ batchIndex: i, size: subset.length, ...token });
+    const entry = await getCachedBatchToken({ clientId, privatePem, installationId: group.installationId, batchIndex: group.batchIndex, repositories: group.repositories, permissions, baseUrl, caller });
+    out.push({
+      installationId: group.installationId,
+      batchIndex: group.batchIndex,
+      token: entry.token,
+      expires_at: entry.expires_at,
+      permissions: entry.permissions,
+      repositories: group.repositories,
+      requested: group.requested,
+    });
   }
   return out;
 }
+
+/**
+ * Force a new token for one batch, replacing the cached one.
+ * @param {object} params
+ * @param {number|string} params.installationId
+ * @param {number} params.batchIndex
+ * @param {object} [params.permissions] - defaults to DEFAULT_PERMISSIONS
+ * @param {string} [params.baseUrl]
+ * @param {string} [params.caller] - recorded in the audit log
+ * @returns {Promise<object>} new cache entry
+ * @throws {TokenValidationError} when the batch does not exist
+ */
+export async function refreshBatchToken({ installationId, batchIndex, permissions = DEFAULT_PERMISSIONS, baseUrl, caller }) {
+  installationId = normalizeInstallationId(installationId);
+  const repositories = batchesForInstallation(installationId)[batchIndex];
+  if (!repositories || repositories.length === 0) {
+    throw new TokenValidationError(`Installation ${installationId} has no batch ${batchIndex}`, { installationId });
+  }
+  const { clientId, privatePem } = appCredentials();
+  return await getCachedBatchToken({ clientId, privatePem, installationId, batchIndex, repositories, permissions, baseUrl, force: true, caller });
+}
+
+/**
+ * Read the GitHub App credentials Probot is configured with (APP_ID + PRIVATE_KEY or PRIVATE_KEY_PATH), plus any
+ * PRIVATE_KEY_FALLBACKS or keys set with setAppKeys().
+ * @returns {{ clientId: string, privatePem: Array<string|object> }} `privatePem` lists the app keys in the order they are tried
+ */
+export function appCredentials() {
+  const clientId = process.env.APP_ID;
+  const privatePem = appKeys();
+  if (!clientId || privatePem.length === 0) {
+    throw new TokenValidationError('Missing APP_ID or PRIVATE_KEY/PRIVATE_KEY_PATH for installation token requests');
+  }
+  return { clientId, privatePem };
+}
+
+/**
+ * Look up the installation that covers a repo via the app JWT (used when the repo is not in repoCache).
+ * @param {*} app - The GitHub App instance.
+ * @param {string} repoFullName - owner/repo
+ * @returns {Promise<number>} installation id
+ */
+async function findInstallationForRepo(app, repoFullName) {
+  const [owner, repo] = repoFullName.split('/');
+  const appAuth = await app.auth();
+  const { data } = await appAuth.request('GET /repos/{owner}/{repo}/installation', { owner, repo });
+  return data.id;
+}
+
+/**
+ * Get an Octokit authenticated with the batch token that covers `repoFullName`.
+ * The repo's installation and batch are resolved through repoCache; repos not in the cache
+ * fall back to a token scoped to that single repo.
+ * @param {*} app - The GitHub App instance.
+ * @param {string} repoFullName - owner/repo
+ * @param {object} [options]
+ * @param {string|number} [options.installationId] - installation to use when the repo is not cached (e.g. from the webhook payload)
+ * @param {object} [options.permissions] - permissions the caller needs; defaults to DEFAULT_PERMISSIONS
+ * @param {string} [options.baseUrl] - GitHub API base URL for both the token request and the returned client
+ * @param {string} [options.caller] - recorded in the audit log (e.g. the webhook handler)
+ * @returns {Promise<Octokit>}
+ */
+export async function getOctokitForRepo(app, repoFullName, { installationId, permissions = DEFAULT_PERMISSIONS, baseUrl, caller } = {}) {
+  const { clientId, privatePem } = appCredentials();
+  const [owner, repoName] = repoFullName.split('/');
+  const cached = repoCache[repoFullName];
+  let tokenEntry;
+
+  const singleRepoToken = (instId) => {
+    assertPermissionsGranted(instId, permissions);
+    // Cached repos are requested by id, which also works for repos outside the installation's own account
+    const scope = cached ? { repositoryIds: [cached.id] } : { repositories: [repoName] };
+    return getOrMintToken(
+      { installationId: instId, batchIndex: `repo:${repoFullName}`, permissions, repositories: [repoFullName], baseUrl },
+      (audit) => getAccessToken({
+        clientId, privatePem, installationId: instId, ...scope, permissions, baseUrl,
+        audit: { ...audit, batchIndex: `repo:${repoFullName}` },
+      }),
+      { caller }
+    );
+  };
+
+  if (cached) {
+    const { batchIndex, repositories } = batchForRepo(repoFullName);
+    app.log.debug(`[tokenBatcher] ${repoFullName} -> installation ${cached.installationId}, batch ${batchIndex} (${repositories.length} repos)`);
+    try {
+      tokenEntry = await getCachedBatchToken({ clientId, privatePem, installationId: cached.installationId, batchIndex, repositories, permissions, baseUrl, caller });
+    } catch (err) {
+      if (!(err instanceof RepositoryAccessError)) throw err;
+      // Some repo in the batch left the installation before the cache caught up; don't block this repo on it
+      app.log.warn(`[tokenBatcher] Batch ${batchIndex} of installation ${cached.installationId} is stale (${err.message}); using single-repo token for ${repoFullName}`);
+      tokenEntry = await singleRepoToken(cached.installationId);
+    }
+  } else {
+    // An installation on the repo's owner that covers all its repos saves the lookup
+    const ownerInstallation = resolveInstallation(owner);
+    let instId;
+    if (installationId !== undefined) instId = normalizeInstallationId(installationId);
+    else if (ownerInstallation !== undefined && installationSelection[ownerInstallation] === 'all') instId = ownerInstallation;
+    else instId = await findInstallationForRepo(app, repoFullName);
+    app.log.debug(`[tokenBatcher] ${repoFullName} not in repoCache; using single-repo token for installation ${instId}`);
+    tokenEntry = await singleRepoToken(instId);
+  }
+
+  return new Octokit({ auth: tokenEntry.token, baseUrl: resolveBaseUrl(baseUrl) });
+}
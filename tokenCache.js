@@ -0,0 +1,381 @@
+/**
+ * tokenCache.js
+ * Expiry-aware cache of batch installation tokens keyed by installation, batch index and permission set.
+ * Cached tokens are returned while valid, refreshed shortly before `expires_at`, and concurrent requests
+ * for the same key share one in-flight mint so a webhook burst results in a single token request.
+ * Tokens are also written to the shared store (storage.js); with a file or Redis store, replicas reuse each other's
+ * tokens and a store lock makes sure only one replica refreshes a given batch token.
+ * Tokens that are superseded or whose batch changed or disappeared are revoked (after a short grace period for
+ * requests still using them), and revokeAllTokens() revokes everything outstanding on shutdown. Only tokens this
+ * process minted are revoked that way; tokens read from a shared store are only dropped, and a replica checks that a
+ * token it read from the store is still the stored one before reusing it.
+ */
+import { TokenError } from './errors.js';
+import { getStore } from './storage.js';
+import { log } from './logger.js';
+import { revokeInstallationToken } from './getAppInstallationToken.js';
+import { recordCacheHit, recordCacheMiss } from './metrics.js';
+
+// Installation tokens live 60 minutes; refresh this long before GitHub expires them.
+const DEFAULT_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// How long a replica may hold the refresh lock of a batch token, and how often the others poll for its result
+const REFRESH_LOCK_TTL_MS = 30 * 1000;
+const REFRESH_POLL_MS = 250;
+
+// Superseded tokens stay valid this long so requests that already picked them up can finish (REVOKE_GRACE_MS)
+const DEFAULT_REVOKE_GRACE_MS = 60 * 1000;
+
+// token => { timer, entry, reason } for revocations waiting out the grace period
+const pendingRevocations = new Map();
+
+// key => { ...token response, installationId, batchIndex, permissionsKey, batchRepos, expiresAtMs }
+const tokenCache = new Map();
+// key => Promise of the mint currently running for that key
+const inFlight = new Map();
+// token => expiresAtMs for the tokens this process minted (the only ones it revokes when they are replaced)
+const mintedHere = new Map();
+
+function refreshMarginMs() {
+  const fromEnv = parseInt(process.env.TOKEN_REFRESH_MARGIN_MS || '', 10);
+  return Number.isNaN(fromEnv) ? DEFAULT_REFRESH_MARGIN_MS : fromEnv;
+}
+
+/**
+ * Canonical string for a permission set so `{ a, b }` and `{ b, a }` share a cache entry.
+ * @param {object} [permissions]
+ * @returns {string} '*' when no permissions are given (installation defaults)
+ */
+export function permissionsKey(permissions) {
+  if (!permissions || Object.keys(permissions).length === 0) return '*';
+  return Object.keys(permissions)
+    .sort()
+    .map(name => `${name}:${permissions[name]}`)
+    .join(',');
+}
+
+const ACCESS_LEVELS = { read: 1, write: 2, admin: 3 };
+
+/**
+ * Whether `granted` includes every permission in `requested` at the same or a higher level (admin > write > read).
+ * @param {object} granted - e.g. a token's or installation's permissions
+ * @param {object} requested
+ * @returns {boolean}
+ */
+export function permissionsCover(granted = {}, requested = {}) {
+  return Object.entries(requested).every(([name, level]) =>
+    (ACCESS_LEVELS[granted[name]] || 0) >= (ACCESS_LEVELS[level] || Infinity));
+}
+
+/**
+ * Build the cache key for a batch token.
+ * @param {object} params
+ * @param {string|number} params.installationId
+ * @param {number|string} params.batchIndex - layout index, or a name such as `repo:<owner/repo>` or `adhoc:<i>`
+ * @param {object} [params.permissions]
+ * @returns {string}
+ */
+export function tokenCacheKey({ installationId, batchIndex, permissions }) {
+  return `${installationId}:${batchIndex}:${permissionsKey(permissions)}`;
+}
+
+/**
+ * True when the entry exists and will not expire within the refresh margin.
+ * @param {object} entry - cache entry (see getOrMintToken)
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isTokenFresh(entry, now = Date.now()) {
+  return !!entry && entry.expiresAtMs - refreshMarginMs() > now;
+}
+
+function sameRepos(a = [], b = []) {
+  if (a.length !== b.length) return false;
+  const set = new Set(a);
+  return b.every(r => set.has(r));
+}
+
+function usable(entry, repositories) {
+  return isTokenFresh(entry) && (!repositories || sameRepos(entry.batchRepos, repositories));
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function revokeGraceMs() {
+  const fromEnv = parseInt(process.env.REVOKE_GRACE_MS || '', 10);
+  return Number.isNaN(fromEnv) ? DEFAULT_REVOKE_GRACE_MS : fromEnv;
+}
+
+async function revokeEntry(entry, reason) {
+  mintedHere.delete(entry?.token);
+  if (!entry?.token || entry.expiresAtMs <= Date.now()) return false;
+  try {
+    return await revokeInstallationToken({
+      token: entry.token,
+      baseUrl: entry.baseUrl,
+      audit: {
+        installationId: entry.installationId,
+        batchIndex: entry.batchIndex,
+        repoCount: entry.batchRepos?.length,
+        permissions: entry.permissions,
+        expiresAt: entry.expires_at,
+        reason,
+      },
+    });
+  } catch (err) {
+    log.warn(`[tokenCache] Failed to revoke token of batch ${entry.installationId}:${entry.batchIndex}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Revoke a token this process minted once the grace period is over (immediately when the grace period is 0).
+ * Tokens minted by another replica are left alone: that replica may still be handing them out.
+ */
+function scheduleRevocation(entry, reason) {
+  if (!entry?.token || !mintedHere.has(entry.token) || pendingRevocations.has(entry.token)) return;
+  const grace = revokeGraceMs();
+  if (grace <= 0) {
+    revokeEntry(entry, reason);
+    return;
+  }
+  const timer = setTimeout(() => {
+    pendingRevocations.delete(entry.token);
+    revokeEntry(entry, reason);
+  }, grace);
+  // Pending revocations are flushed by revokeAllTokens() on shutdown; they must not keep the process alive
+  timer.unref();
+  pendingRevocations.set(entry.token, { timer, entry, reason });
+}
+
+/**
+ * Read a token another replica (or a previous run) stored; caches it locally when usable.
+ */
+async function sharedToken(key, repositories) {
+  const entry = await getStore().get(`token:${key}`);
+  if (!usable(entry, repositories)) return undefined;
+  tokenCache.set(key, entry);
+  return entry;
+}
+
+/**
+ * Whether a local entry may still be used. A token read from a shared store may have been replaced or invalidated
+ * (and revoked) by the replica that minted it, so it is only reused while the store still holds it.
+ */
+async function stillCurrent(key, entry) {
+  const store = getStore();
+  if (store.kind === 'memory' || mintedHere.has(entry.token)) return true;
+  const stored = await store.get(`token:${key}`);
+  if (stored?.token === entry.token) return true;
+  if (tokenCache.get(key) === entry) tokenCache.delete(key);
+  return false;
+}
+
+/**
+ * Wait for the replica holding the refresh lock to publish its token.
+ */
+async function waitForSharedToken(key, repositories) {
+  const deadline = Date.now() + REFRESH_LOCK_TTL_MS;
+  while (Date.now() < deadline) {
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(REFRESH_POLL_MS);
+    // eslint-disable-next-line no-await-in-loop
+    const entry = await sharedToken(key, repositories);
+    if (entry) return entry;
+  }
+  return undefined;
+}
+
+async function coveringToken({ installationId, batchIndex, permissions, repositories }) {
+  if (!permissions || Object.keys(permissions).length === 0) return undefined;
+  for (const [key, entry] of tokenCache) {
+    if (String(entry.installationId) !== String(installationId) || entry.batchIndex !== batchIndex) continue;
+    if (!isTokenFresh(entry)) continue;
+    if (repositories && !sameRepos(entry.batchRepos, repositories)) continue;
+    // eslint-disable-next-line no-await-in-loop
+    if (permissionsCover(entry.permissions, permissions) && await stillCurrent(key, entry)) return entry;
+  }
+  return undefined;
+}
+
+/**
+ * Return the cached token for (installation, batch, permissions) or mint a new one.
+ * A fresh token of the same batch whose permissions are a superset of the requested ones is reused.
+ * Concurrent callers for the same key await the same mint. A cached token whose repo list differs
+ * from `repositories` is treated as stale, since it no longer covers the batch.
+ * Before minting, the shared store is checked and its refresh lock taken; a replica that does not get the
+ * lock waits for the holder's token instead of minting its own (and mints anyway if none shows up in time).
+ * @param {object} params
+ * @param {string|number} params.installationId
+ * @param {number|string} params.batchIndex - see tokenCacheKey
+ * @param {object} [params.permissions]
+ * @param {string[]} [params.repositories] - repos the batch currently holds
+ * @param {string} [params.baseUrl] - API base URL the token was minted against (used to revoke it)
+ * @param {(audit: { action: string, reason: string, caller?: string }) => Promise<object>} mint - mints a token;
+ *   receives the audit context (mint/refresh and why) and resolves to GitHub's token response
+ * @param {object} [options]
+ * @param {boolean} [options.force] - skip cached tokens and mint a new one (forced refresh)
+ * @param {string} [options.caller] - who needs the token, recorded in the audit log
+ * @returns {Promise<object>} cache entry (GitHub response plus cache metadata)
+ */
+export async function getOrMintToken({ installationId, batchIndex, permissions, repositories, baseUrl }, mint, { force = false, caller } = {}) {
+  const key = tokenCacheKey({ installationId, batchIndex, permissions });
+  let cached = tokenCache.get(key);
+  if (!force) {
+    if (usable(cached, repositories)) {
+      if (await stillCurrent(key, cached)) {
+        recordCacheHit('local');
+        return cached;
+      }
+      cached = undefined;
+    }
+    const covering = await coveringToken({ installationId, batchIndex, permissions, repositories });
+    if (covering) {
+      recordCacheHit('local');
+      return covering;
+    }
+  }
+  if (inFlight.has(key)) {
+    recordCacheHit('in-flight');
+    return inFlight.get(key);
+  }
+
+  const pending = (async () => {
+    const store = getStore();
+    if (!force) {
+      const shared = await sharedToken(key, repositories);
+      if (shared) {
+        recordCacheHit('shared');
+        return shared;
+      }
+    }
+
+    const lockKey = `lock:token:${key}`;
+    const owner = await store.acquireLock(lockKey, REFRESH_LOCK_TTL_MS);
+    if (!owner) {
+      const refreshed = await waitForSharedToken(key, repositories);
+      if (refreshed) {
+        recordCacheHit('shared');
+        return refreshed;
+      }
+    }
+    try {
+      let audit = { action: 'mint', reason: 'cache-miss', caller };
+      if (force) audit = { action: 'refresh', reason: 'forced', caller };
+      else if (cached && !isTokenFresh(cached)) audit = { action: 'refresh', reason: 'expiring', caller };
+      else if (cached) audit = { action: 'refresh', reason: 'batch-changed', caller };
+      recordCacheMiss(audit.reason);
+      const resp = await mint(audit);
+      if (!resp || !resp.token) {
+        throw new TokenError(`No token returned for batch ${key}`, { installationId, repositories });
+      }
+      const entry = {
+        ...resp,
+        installationId,
+        batchIndex,
+        permissionsKey: permissionsKey(permissions),
+        batchRepos: repositories ? [...repositories] : undefined,
+        baseUrl,
+        expiresAtMs: Date.parse(resp.expires_at),
+      };
+      const now = Date.now();
+      for (const [token, expiresAtMs] of mintedHere) {
+        if (expiresAtMs <= now) mintedHere.delete(token);
+      }
+      mintedHere.set(entry.token, entry.expiresAtMs);
+      tokenCache.set(key, entry);
+      if (cached && cached.token !== entry.token) scheduleRevocation(cached, 'superseded');
+      await store.set(`token:${key}`, entry, { ttlMs: entry.expiresAtMs - Date.now() });
+      return entry;
+    } finally {
+      if (owner) await store.releaseLock(lockKey, owner);
+    }
+  })();
+  inFlight.set(key, pending);
+  pending.then(
+    () => { if (inFlight.get(key) === pending) inFlight.delete(key); },
+    () => { if (inFlight.get(key) === pending) inFlight.delete(key); }
+  );
+  return pending;
+}
+
+/**
+ * Drop cached tokens and revoke the ones this process minted (after the grace period). With no filter everything
+ * is dropped. Matching tokens are also removed from the shared store in the background; replicas that read them
+ * from there stop using them on their next lookup.
+ * @param {object} [filter]
+ * @param {string|number} [filter.installationId]
+ * @param {number} [filter.batchIndex]
+ * @param {string} [filter.reason] - recorded with the revocation, e.g. 'batch-changed' or 'batch-removed'
+ * @returns {number} number of local entries removed
+ */
+export function invalidateTokens({ installationId, batchIndex, reason = 'invalidated' } = {}) {
+  let removed = 0;
+  for (const [key, entry] of tokenCache) {
+    if (installationId !== undefined && String(entry.installationId) !== String(installationId)) continue;
+    if (batchIndex !== undefined && entry.batchIndex !== batchIndex) continue;
+    tokenCache.delete(key);
+    scheduleRevocation(entry, reason);
+    removed++;
+  }
+
+  let prefix = 'token:';
+  if (installationId !== undefined) {
+    prefix += `${installationId}:`;
+    if (batchIndex !== undefined) prefix += `${batchIndex}:`;
+  }
+  const store = getStore();
+  store.keys(prefix)
+    .then(keys => Promise.all(keys.map(async (storeKey) => {
+      const entry = await store.get(storeKey);
+      if (batchIndex !== undefined && installationId === undefined && entry?.batchIndex !== batchIndex) return;
+      await store.delete(storeKey);
+      scheduleRevocation(entry, reason);
+    })))
+    .catch(err => log.warn(`[tokenCache] Failed to invalidate shared tokens: ${err.message}`));
+  return removed;
+}
+
+/**
+ * Snapshot of the cached entries (for inspection / debugging).
+ * @returns {object[]}
+ */
+export function listCachedTokens() {
+  return Array.from(tokenCache.values());
+}
+
+/**
+ * Revoke every outstanding token now: cached ones and those waiting out the grace period (graceful shutdown).
+ * With a shared store (file / Redis) the cached tokens are also used by other replicas, so they are only
+ * revoked, and removed from the store, when `includeShared` is set.
+ * @param {object} [options]
+ * @param {boolean} [options.includeShared] - also revoke the tokens shared through a file / Redis store
+ * @returns {Promise<number>} number of tokens GitHub revoked
+ */
+export async function revokeAllTokens({ includeShared = false } = {}) {
+  const entries = new Map();
+  for (const { timer, entry } of pendingRevocations.values()) {
+    clearTimeout(timer);
+    entries.set(entry.token, entry);
+  }
+  pendingRevocations.clear();
+
+  const store = getStore();
+  const shared = store.kind !== 'memory';
+  if (!shared || includeShared) {
+    for (const entry of tokenCache.values()) entries.set(entry.token, entry);
+  }
+  tokenCache.clear();
+  if (shared && includeShared) {
+    for (const storeKey of await store.keys('token:')) {
+      // eslint-disable-next-line no-await-in-loop
+      const entry = await store.get(storeKey);
+      if (entry?.token) entries.set(entry.token, entry);
+      // eslint-disable-next-line no-await-in-loop
+      await store.delete(storeKey);
+    }
+  }
+
+  const results = await Promise.all([...entries.values()].map(entry => revokeEntry(entry, 'shutdown')));
+  return results.filter(Boolean).length;
+}
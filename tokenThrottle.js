@@ -0,0 +1,98 @@
+/**
+ * tokenThrottle.js
+ * Shared throttler for `POST /app/installations/{id}/access_tokens`. Token requests are queued per installation
+ * with a concurrency cap, and all of them pause while GitHub's rate limit headers (`retry-after`,
+ * `x-ratelimit-remaining` / `x-ratelimit-reset`) say the app has to wait. Requests wait in the queue instead of failing.
+ */
+
+// Concurrent token requests per installation (TOKEN_REQUEST_CONCURRENCY)
+const DEFAULT_CONCURRENCY = 2;
+// Wait applied to a secondary rate limit that came without retry-after / reset headers, as GitHub recommends
+export const DEFAULT_SECONDARY_BACKOFF_MS = 60 * 1000;
+
+// installationId => { active, waiting: [resolve...] }
+const queues = new Map();
+// Token creation is authenticated with the app JWT, so a rate limit pauses every installation
+let pausedUntil = 0;
+
+function concurrency() {
+  const fromEnv = parseInt(process.env.TOKEN_REQUEST_CONCURRENCY || '', 10);
+  return Number.isNaN(fromEnv) || fromEnv < 1 ? DEFAULT_CONCURRENCY : fromEnv;
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+/**
+ * Pause all token requests for `ms` milliseconds (extends, never shortens, an existing pause).
+ * @param {number} ms
+ */
+export function pauseFor(ms) {
+  pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+}
+
+/**
+ * Record the rate limit headers of a token response; when the budget is used up, pause until it resets.
+ * @param {object} headers - response headers
+ */
+export function noteRateLimitHeaders(headers) {
+  if (!headers) return;
+  const remaining = headers['x-ratelimit-remaining'];
+  const reset = Number(headers['x-ratelimit-reset']);
+  if (String(remaining) === '0' && !Number.isNaN(reset)) {
+    pausedUntil = Math.max(pausedUntil, reset * 1000);
+  }
+}
+
+/**
+ * Resolve once no rate limit pause is active.
+ * @returns {Promise<void>}
+ */
+export async function waitForRateLimit() {
+  while (pausedUntil > Date.now()) {
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(pausedUntil - Date.now());
+  }
+}
+
+/**
+ * Run `task` once the installation has a free slot (at most TOKEN_REQUEST_CONCURRENCY at a time).
+ * @param {string|number} installationId
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function schedule(installationId, task) {
+  const key = String(installationId);
+  if (!queues.has(key)) queues.set(key, { active: 0, waiting: [] });
+  const queue = queues.get(key);
+
+  if (queue.active >= concurrency()) {
+    await new Promise(resolve => queue.waiting.push(resolve));
+  } else {
+    queue.active++;
+  }
+  try {
+    return await task();
+  } finally {
+    const next = queue.waiting.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter
+      next();
+    } else {
+      queue.active--;
+      if (queue.active === 0) queues.delete(key);
+    }
+  }
+}
+
+/**
+ * Current throttle state (for inspection / debugging).
+ * @returns {{ pausedForMs: number, installations: object }}
+ */
+export function throttleStats() {
+  const installations = {};
+  for (const [key, queue] of queues) {
+    installations[key] = { active: queue.active, queued: queue.waiting.length };
+  }
+  return { pausedForMs: Math.max(0, pausedUntil - Date.now()), installations };
+}
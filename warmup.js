@@ -0,0 +1,123 @@
+/**
+ * warmup.js
+ * Startup warm-up, configured from a JSON file (STARTUP_CONFIG_PATH) and/or env variables (which take precedence):
+ *   mode          STARTUP_MODE          none (default) | prewarm | report
+ *                                       prewarm mints a batch token for every batch of the selected installations;
+ *                                       report logs the batch layout without minting anything (dry run)
+ *   batchSize     TOKEN_BATCH_SIZE      repos per batch, 1..500 (default 500)
+ *   permissions   STARTUP_PERMISSIONS   JSON permission set used for prewarm (default DEFAULT_PERMISSIONS)
+ *   installations STARTUP_INSTALLATIONS comma separated installation ids or account logins (default: all installations)
+ *
+ * Example config file:
+ *   { "mode": "prewarm", "batchSize": 250, "permissions": { "contents": "read" }, "installations": [123, 456] }
+ */
+import fs from 'fs';
+import {
+  installationPermissions,
+  installationAccounts,
+  knownInstallations,
+  resolveInstallation,
+  batchesForInstallation,
+  getAllBatchTokens,
+  getBatchSize,
+  assertPermissionsGranted,
+  appCredentials,
+  DEFAULT_PERMISSIONS,
+} from './tokenBatcher.js';
+import { PermissionNotGrantedError } from './errors.js';
+import { log } from './logger.js';
+
+export const STARTUP_MODES = ['none', 'prewarm', 'report'];
+
+function parseJson(text, source) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${source}: ${err.message}`);
+  }
+}
+
+/**
+ * Read the warm-up settings from STARTUP_CONFIG_PATH (optional JSON file) and env variables.
+ * @param {object} [env] - defaults to process.env
+ * @returns {{ mode: string, batchSize?: number, permissions: object, installations: string[] }}
+ * @throws {Error} on an unreadable config file or invalid settings
+ */
+export function loadStartupConfig(env = process.env) {
+  const file = env.STARTUP_CONFIG_PATH
+    ? parseJson(fs.readFileSync(env.STARTUP_CONFIG_PATH, 'utf8'), env.STARTUP_CONFIG_PATH)
+    : {};
+
+  const mode = (env.STARTUP_MODE || file.mode || 'none').toLowerCase();
+  if (!STARTUP_MODES.includes(mode)) {
+    throw new Error(`Unknown startup mode "${mode}" (expected ${STARTUP_MODES.join(', ')})`);
+  }
+  const batchSize = env.TOKEN_BATCH_SIZE ? Number(env.TOKEN_BATCH_SIZE) : file.batchSize;
+  const permissions = env.STARTUP_PERMISSIONS
+    ? parseJson(env.STARTUP_PERMISSIONS, 'STARTUP_PERMISSIONS')
+    : file.permissions || DEFAULT_PERMISSIONS;
+  // Ids or account logins; resolved once the installations are known
+  const installations = (env.STARTUP_INSTALLATIONS ? env.STARTUP_INSTALLATIONS.split(',') : file.installations || [])
+    .map(id => String(id).trim())
+    .filter(Boolean);
+  return { mode, batchSize, permissions, installations };
+}
+
+function selectedInstallations(config) {
+  const all = knownInstallations();
+  if (config.installations.length === 0) return all;
+  const selected = new Set();
+  for (const wanted of config.installations) {
+    const installationId = resolveInstallation(wanted);
+    if (all.includes(installationId)) selected.add(installationId);
+    else log.warn(`[warmup] No installation ${wanted}; skipped`);
+  }
+  return [...selected];
+}
+
+/**
+ * Run the configured warm-up once repoCache is populated.
+ * @param {object} config - from loadStartupConfig
+ * @returns {Promise<object[]>} one entry per selected installation:
+ *   report: { installationId, account, batchSize, repoCount, batches: [{ batchIndex, size }], missingPermissions?, grantedPermissions? }
+ *   prewarm: { installationId, tokens: number, error?: Error }
+ */
+export async function runWarmup(config) {
+  if (config.mode === 'none') return [];
+  const installations = selectedInstallations(config);
+
+  if (config.mode === 'report') {
+    return installations.map(installationId => {
+      const batches = batchesForInstallation(installationId);
+      const entry = {
+        installationId,
+        account: installationAccounts[installationId],
+        batchSize: getBatchSize(),
+        repoCount: batches.reduce((n, batch) => n + batch.length, 0),
+        batches: batches.map((repos, batchIndex) => ({ batchIndex, size: repos.length })),
+      };
+      try {
+        assertPermissionsGranted(installationId, config.permissions);
+      } catch (err) {
+        if (!(err instanceof PermissionNotGrantedError)) throw err;
+        entry.missingPermissions = err.permissions;
+        entry.grantedPermissions = installationPermissions[installationId];
+      }
+      return entry;
+    });
+  }
+
+  const { clientId, privatePem } = appCredentials();
+  const out = [];
+  for (const installationId of installations) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const tokens = await getAllBatchTokens({ clientId, privatePem, installationId, permissions: config.permissions, caller: 'startup' });
+      out.push({ installationId, tokens: tokens.length });
+    } catch (error) {
+      // One installation failing (e.g. missing permissions) should not stop the others from warming up
+      out.push({ installationId, tokens: 0, error });
+    }
+  }
+  return out;
+}